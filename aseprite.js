@@ -0,0 +1,140 @@
+/**
+ * Aseprite で書き出したスプライトシート（PNG）と JSON をスプライトに変換するためのユーティリティ
+ *
+ * JSON の frames はハッシュ形式と配列形式のどちらにも対応する
+ * レイヤーを分けて書き出した（--split-layers）シートの場合は、ファイル名の "(レイヤー名)" から
+ * レイヤーを判別し、上のレイヤーを手前の層として奥行きのあるスプライトにする
+ * meta.frameTags はスプライトの tags として取り込む
+ */
+import { EMPTY, createSprite, toHex } from './sprite.js';
+import { findNearest, quantize } from './image.js';
+
+/**
+ * 変換に使うオプションの既定値
+ */
+export const ASEPRITE_OPTIONS = {
+  paletteSize: 255,    // パレットの最大色数（シート全体の色数がこれより多い場合は減色する）
+  alphaThreshold: 128, // この値より小さいアルファ値のピクセルを透明とみなす
+};
+
+/**
+ * Aseprite の JSON と画像ファイルを読み込んでスプライトに変換する
+ * @param {object} data - Aseprite が書き出した JSON
+ * @param {Blob} image - スプライトシートの画像ファイル
+ * @param {object} [options] - ASEPRITE_OPTIONS と同じ形式のオプション
+ * @return {Promise<object>}
+ */
+export async function loadAsepriteSprite(data, image, options = {}) {
+  const bitmap = await createImageBitmap(image);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+  return parseAseprite(data, imageData, options);
+}
+
+/**
+ * Aseprite の JSON とスプライトシートのピクセルをスプライトに変換する
+ * @param {object} data - Aseprite が書き出した JSON
+ * @param {{data: Uint8ClampedArray|Uint8Array, width: number, height: number}} sheet - シートの RGBA のピクセル（ImageData など）
+ * @param {object} [options] - ASEPRITE_OPTIONS と同じ形式のオプション
+ * @return {object}
+ */
+export function parseAseprite(data, sheet, options = {}) {
+  const { paletteSize, alphaThreshold } = { ...ASEPRITE_OPTIONS, ...options };
+  if (data == null || data.frames == null || data.meta == null) {
+    throw new Error('aseprite: frames と meta を持つ Aseprite の JSON が必要です');
+  }
+  const entries = Array.isArray(data.frames)
+    ? data.frames
+    : Object.entries(data.frames).map(([filename, frame]) => ({ filename, ...frame }));
+  if (entries.length === 0) {
+    throw new Error('aseprite: フレームがありません');
+  }
+  entries.forEach((entry) => {
+    if (entry.rotated) {
+      throw new Error(`aseprite: 回転して配置されたフレームには対応していません（${entry.filename}）`);
+    }
+  });
+
+  // レイヤーごとにフレームを分ける（下のレイヤーから順に並んでいるので、手前の層になるよう逆順にする）
+  const groups = splitLayers(entries, data.meta.layers).reverse();
+  const frameCount = groups[0].length;
+  if (groups.some((group) => group.length !== frameCount)) {
+    throw new Error('aseprite: レイヤーごとのフレーム数がそろっていません');
+  }
+
+  // 切り抜き前の大きさをグリッドの大きさにする
+  const width = Math.max(...entries.map((entry) => (entry.sourceSize ?? entry.frame).w));
+  const height = Math.max(...entries.map((entry) => (entry.sourceSize ?? entry.frame).h));
+
+  // すべてのフレームのピクセルを取り出してから、共通のパレットを求める
+  const colors = [];
+  const images = groups.map((group) => group.map((entry) => {
+    const pixels = new Array(width * height).fill(null);
+    const { x: sx, y: sy, w, h } = entry.frame;
+    const offset = entry.spriteSourceSize ?? { x: 0, y: 0 };
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const dx = offset.x + x;
+        const dy = offset.y + y;
+        if (dx >= width || dy >= height) {
+          continue;
+        }
+        const i = ((sy + y) * sheet.width + sx + x) * 4;
+        if (sheet.data[i + 3] < alphaThreshold) {
+          continue;
+        }
+        const color = [sheet.data[i], sheet.data[i + 1], sheet.data[i + 2]];
+        colors.push(color);
+        pixels[dy * width + dx] = color;
+      }
+    }
+    return pixels;
+  }));
+  const palette = quantize(colors, paletteSize);
+
+  const frames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const layers = images.map((group) => {
+      const pixels = group[f];
+      return Array.from({ length: height }, (_, y) => {
+        return Array.from({ length: width }, (_, x) => {
+          const color = pixels[y * width + x];
+          return color == null ? EMPTY : findNearest(palette, color);
+        });
+      });
+    });
+    // duration はミリ秒で書き出される
+    frames.push({ layers, duration: (groups[0][f].duration ?? 100) / 1000 });
+  }
+
+  const tags = (data.meta.frameTags ?? []).map((tag) => ({
+    name: tag.name,
+    from: tag.from,
+    to: tag.to,
+    direction: tag.direction ?? 'forward',
+  }));
+
+  return createSprite({ palette: palette.map(toHex), frames, tags });
+}
+
+/**
+ * ファイル名に含まれる "(レイヤー名)" からフレームをレイヤーごとに分ける
+ * レイヤーを分けずに書き出したシートの場合は、すべてのフレームを 1 つのレイヤーとして返す
+ * @param {object[]} entries - フレームの配列
+ * @param {object[]} [layers] - meta.layers（下のレイヤーから順に並ぶ）
+ * @return {object[][]} 下のレイヤーから順に並べた、レイヤーごとのフレームの配列
+ */
+function splitLayers(entries, layers = []) {
+  const names = layers
+    .map((layer) => layer.name)
+    .filter((name) => entries.some((entry) => String(entry.filename).includes(`(${name})`)));
+  if (names.length < 2) {
+    return [entries];
+  }
+  return names.map((name) => entries.filter((entry) => String(entry.filename).includes(`(${name})`)));
+}
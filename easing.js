@@ -0,0 +1,51 @@
+/**
+ * アニメーションの進み具合（0.0 〜 1.0）を変換するイージング関数
+ * 名前で指定できるよう、関数をまとめたオブジェクトとして公開する
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2.0 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2.0 * t * t : 1.0 - (-2.0 * t + 2.0) ** 2 / 2.0),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1.0 - (1.0 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4.0 * t * t * t : 1.0 - (-2.0 * t + 2.0) ** 3 / 2.0),
+  // 少し行き過ぎてから戻る
+  easeOutBack: (t) => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1.0;
+    return 1.0 + c3 * (t - 1.0) ** 3 + c1 * (t - 1.0) ** 2;
+  },
+  // 床で弾むように止まる
+  easeOutBounce: (t) => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1.0 / d1) {
+      return n1 * t * t;
+    } else if (t < 2.0 / d1) {
+      t -= 1.5 / d1;
+      return n1 * t * t + 0.75;
+    } else if (t < 2.5 / d1) {
+      t -= 2.25 / d1;
+      return n1 * t * t + 0.9375;
+    }
+    t -= 2.625 / d1;
+    return n1 * t * t + 0.984375;
+  },
+};
+
+/**
+ * 名前を指定してイージング関数を取得する
+ * @param {string|function(number): number} easing - イージングの名前、または関数
+ * @return {function(number): number}
+ */
+export function getEasing(easing) {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+  const fn = EASINGS[easing];
+  if (fn == null) {
+    throw new Error(`easing: 未知のイージングです（${easing}）`);
+  }
+  return fn;
+}
@@ -0,0 +1,161 @@
+/**
+ * 外部から制御できるようにした GlitchPass
+ * 任意のタイミングで長さと強さを指定したグリッチを起こせるほか、乱数のシードを固定して同じ結果を再現できる
+ * 自動的なグリッチの間隔もフレーム数ではなく経過時間で数えるので、描画の頻度によらず同じ間隔で起きる
+ */
+import { DataTexture, FloatType, LuminanceFormat, RedFormat } from './lib/three.module.js';
+import { GlitchPass } from './lib/GlitchPass.js';
+
+export class ControllableGlitchPass extends GlitchPass {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {object} [options]
+   * @param {number} [options.size] - 歪みに使うハイトマップの大きさ
+   * @param {number|null} [options.seed] - 乱数のシード（null のときは Math.random を使う）
+   * @param {boolean} [options.auto] - GlitchPass と同じように一定の間隔で自動的にグリッチを起こすかどうか
+   */
+  constructor({ size = 64, seed = null, auto = true } = {}) {
+    super(size);
+    this.auto = auto;         // 自動的にグリッチを起こすかどうか
+    this.burstTime = 0;       // 残りのグリッチの時間（秒）
+    this.burstIntensity = 0;  // グリッチの強さ
+    this.autoTime = 0;        // 前回の自動的な大きなグリッチからの経過時間（秒）
+    this.disableAfterBurst = false; // グリッチが終わったらパスを無効に戻すかどうか
+    this.setSeed(seed);
+  }
+
+  /**
+   * 乱数のシードを設定し、ハイトマップと自動的なグリッチの間隔を作り直す
+   * @param {number|null} seed - 乱数のシード（null のときは Math.random を使う）
+   */
+  setSeed(seed) {
+    this.random = seed == null ? Math.random : createRandom(seed);
+    const size = this.heightMap.image.width;
+    this.heightMap.dispose();
+    this.heightMap = this.generateHeightmap(size);
+    this.uniforms['tDisp'].value = this.heightMap;
+    this.generateTrigger();
+    // GlitchPass と同じく、最初のフレームで大きなグリッチを起こす
+    this.autoTime = this.getTriggerInterval();
+  }
+
+  /**
+   * 自動的な大きなグリッチの間隔（秒）
+   * GlitchPass の randX は 60 fps でのフレーム数として扱う
+   * @return {number}
+   */
+  getTriggerInterval() {
+    return this.randX / 60;
+  }
+
+  /**
+   * グリッチを起こす
+   * すでにグリッチ中の場合は、残りの時間が長い方と新しい強さを使う
+   * パスが無効になっている場合は、グリッチの間だけ有効にする
+   * @param {number} duration - 長さ（秒）
+   * @param {number} [intensity] - 強さ（1.0 で GlitchPass の大きなグリッチと同じ程度）
+   */
+  trigger(duration, intensity = 1.0) {
+    if (!this.enabled) {
+      this.enabled = true;
+      this.disableAfterBurst = true;
+    }
+    this.burstTime = Math.max(this.burstTime, duration);
+    this.burstIntensity = intensity;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime) {
+    if (renderer.capabilities.isWebGL2 === false) this.uniforms['tDisp'].value.format = LuminanceFormat;
+
+    this.uniforms['tDiffuse'].value = readBuffer.texture;
+    this.uniforms['seed'].value = this.random();
+    this.uniforms['byp'].value = 0;
+
+    if (this.burstTime > 0) {
+      // 指定された強さで毎フレーム大きく乱す
+      this.burstTime -= deltaTime;
+      this.randomize(this.burstIntensity / 30, this.burstIntensity);
+      if (this.burstTime <= 0 && this.disableAfterBurst) {
+        // このフレームは描画してから、次のフレームから元の無効な状態に戻す
+        this.enabled = false;
+        this.disableAfterBurst = false;
+      }
+    } else if (this.goWild || (this.auto && this.autoTime >= this.getTriggerInterval())) {
+      this.randomize(1 / 30, 1);
+      this.autoTime = 0;
+      this.generateTrigger();
+    } else if (this.auto && this.autoTime < this.getTriggerInterval() / 5) {
+      this.randomize(1 / 90, 0.3);
+    } else {
+      this.uniforms['byp'].value = 1;
+    }
+
+    if (this.auto) {
+      this.autoTime += deltaTime;
+    }
+
+    if (this.renderToScreen) {
+      renderer.setRenderTarget(null);
+      this.fsQuad.render(renderer);
+    } else {
+      renderer.setRenderTarget(writeBuffer);
+      if (this.clear) renderer.clear();
+      this.fsQuad.render(renderer);
+    }
+  }
+
+  /**
+   * グリッチのパラメータを乱数で決める
+   * @param {number} amount - ずれの量の最大値
+   * @param {number} spread - ずれの起点の範囲
+   */
+  randomize(amount, spread) {
+    this.uniforms['amount'].value = this.random() * amount;
+    this.uniforms['angle'].value = this.randomFloat(-Math.PI, Math.PI);
+    this.uniforms['seed_x'].value = this.randomFloat(-spread, spread);
+    this.uniforms['seed_y'].value = this.randomFloat(-spread, spread);
+    this.uniforms['distortion_x'].value = this.randomFloat(0, 1);
+    this.uniforms['distortion_y'].value = this.randomFloat(0, 1);
+  }
+
+  generateTrigger() {
+    // GlitchPass のコンストラクタから呼ばれた時点ではまだ this.random がない
+    const random = this.random ?? Math.random;
+    this.randX = 120 + Math.floor(random() * 121);
+  }
+
+  generateHeightmap(size) {
+    const random = this.random ?? Math.random;
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = random();
+    }
+    const texture = new DataTexture(data, size, size, RedFormat, FloatType);
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * 範囲を指定して乱数を返す
+   */
+  randomFloat(low, high) {
+    return low + this.random() * (high - low);
+  }
+}
+
+/**
+ * シードから再現性のある乱数を返す関数を生成する（mulberry32）
+ * @param {number} seed - シード
+ * @return {function(): number}
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
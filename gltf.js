@@ -0,0 +1,130 @@
+/**
+ * スプライトを glTF / GLB 形式に書き出すためのユーティリティ
+ * ブラウザと Node.js のどちらからでも利用できる
+ */
+import * as THREE from './lib/three.module.js';
+import { GLTFExporter } from './lib/GLTFExporter.js';
+import { EMPTY, getCellPosition } from './sprite.js';
+import { bakeSprite, greedyMesh } from './mesher.js';
+
+/**
+ * 書き出しに使うオプションの既定値
+ */
+export const GLTF_OPTIONS = {
+  binary: true, // true のときは GLB、false のときは glTF（JSON）で書き出す
+  merge: false, // true のときはボックスをまとめて書き出す（greedy meshing で 1 つのメッシュにする、隙間があるときは色ごとにまとめる）
+  size: 1.0,    // ボックスの一辺の長さ
+  gap: 0.0,     // 隣り合うボックスの隙間
+  relief: null, // セルごとの奥行きとずれを返す関数（bakeSprite と同じ形式、指定したときは merge でも色ごとにまとめる）
+};
+
+/**
+ * スプライトを glTF / GLB 形式に変換する
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {object} [options] - GLTF_OPTIONS と同じ形式のオプション
+ * @return {Promise<ArrayBuffer|object>} GLB のときは ArrayBuffer、glTF のときは JSON オブジェクト
+ */
+export function exportGLTF(sprite, options = {}) {
+  const { binary } = { ...GLTF_OPTIONS, ...options };
+  const object = createSpriteObject(sprite, options);
+  const exporter = new GLTFExporter();
+  return exporter.parseAsync(object, { binary }).finally(() => {
+    disposeObject(object);
+  });
+}
+
+/**
+ * 書き出し用にスプライトのボックスを並べたオブジェクトを生成する
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {object} [options] - GLTF_OPTIONS と同じ形式のオプション
+ * @return {THREE.Object3D}
+ */
+export function createSpriteObject(sprite, options = {}) {
+  const { merge, size, gap, relief } = { ...GLTF_OPTIONS, ...options };
+
+  if (merge && (gap > 0 || relief != null)) {
+    // 隙間やレリーフがあると面をつなげられないので、色ごとに 1 つのメッシュにまとめる
+    const group = new THREE.Group();
+    group.name = 'sprite';
+    bakeSprite(sprite, size, gap, relief).forEach((geometry, index) => {
+      if (geometry == null) {
+        return;
+      }
+      // glTF の色はリニアな値として扱われるので sRGB から変換しておく
+      const color = new THREE.Color(sprite.palette[index]).convertSRGBToLinear();
+      const material = new THREE.MeshStandardMaterial({ color, roughness: 1.0, metalness: 0.0 });
+      material.name = `palette_${index}`;
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.name = `palette_${index}`;
+      group.add(mesh);
+    });
+    return group;
+  }
+  if (merge) {
+    // greedy meshing で三角形の数を減らした 1 つのメッシュにまとめる
+    const merged = greedyMesh(sprite, size);
+    // 頂点カラーも sRGB からリニアな値に変換しておく
+    const color = merged.getAttribute('color');
+    const linear = new THREE.Color();
+    for (let i = 0; i < color.count; i++) {
+      linear.fromBufferAttribute(color, i).convertSRGBToLinear();
+      color.setXYZ(i, linear.r, linear.g, linear.b);
+    }
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 1.0, metalness: 0.0 });
+    const mesh = new THREE.Mesh(merged, material);
+    mesh.name = 'sprite';
+    return mesh;
+  }
+
+  // パレットの色ごとにマテリアルを 1 つ用意して、同じ色のボックスで共有する
+  const geometry = new THREE.BoxGeometry(size, size, size);
+  // glTF の色はリニアな値として扱われるので sRGB から変換しておく
+  const colors = sprite.palette.map((value) => new THREE.Color(value).convertSRGBToLinear());
+  const materials = colors.map((color, index) => {
+    const material = new THREE.MeshStandardMaterial({ color, roughness: 1.0, metalness: 0.0 });
+    material.name = `palette_${index}`;
+    return material;
+  });
+  const group = new THREE.Group();
+  group.name = 'sprite';
+  forEachCell(sprite, (col, row, layer, index) => {
+    const mesh = new THREE.Mesh(geometry, materials[index]);
+    mesh.name = `cell_${col}_${row}_${layer}`;
+    getCellPosition(sprite, col, row, layer, size + gap, mesh.position);
+    if (relief != null) {
+      const { depth, offset } = relief(col, row, layer);
+      mesh.scale.z = depth;
+      mesh.position.z += offset * (size + gap) + (depth - 1) / 2 * size;
+    }
+    group.add(mesh);
+  });
+  return group;
+}
+
+/**
+ * 空でないセルを順番に処理する
+ */
+function forEachCell(sprite, callback) {
+  for (let layer = 0; layer < sprite.depth; layer++) {
+    for (let row = 0; row < sprite.height; row++) {
+      for (let col = 0; col < sprite.width; col++) {
+        const index = sprite.layers[layer][row][col];
+        if (index !== EMPTY) {
+          callback(col, row, layer, index);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * オブジェクトが持つジオメトリとマテリアルを破棄する
+ */
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.isMesh) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  });
+}
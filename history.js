@@ -0,0 +1,114 @@
+/**
+ * 取り消し（undo）とやり直し（redo）のための操作履歴
+ *
+ * 履歴には undo と redo の 2 つの関数を持つコマンドを積んでいく
+ * {
+ *   type: 'paint',   // 操作の種類（paint, erase, fill, resize, palette など）
+ *   undo() { ... },  // 操作を取り消す
+ *   redo() { ... },  // 操作をやり直す
+ * }
+ */
+export class History {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {number} [limit] - 保持するコマンドの最大数
+   */
+  constructor(limit = 100) {
+    this.limit = limit;   // 保持するコマンドの最大数
+    this.undoStack = [];  // 取り消せるコマンド
+    this.redoStack = [];  // やり直せるコマンド
+    this.group = null;    // まとめている途中のコマンド
+  }
+
+  /**
+   * 実行済みのコマンドを履歴に積む
+   * begin と end の間に積まれたコマンドは 1 つにまとめられる
+   * @param {object} command - undo と redo を持つコマンド
+   */
+  push(command) {
+    if (this.group != null) {
+      this.group.commands.push(command);
+      return;
+    }
+    this.undoStack.push(command);
+    this.redoStack.length = 0;
+    // 古いものから捨てる
+    while (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * ここから end までに積まれたコマンドを 1 つにまとめる（ドラッグ中のペイントなど）
+   * @param {string} type - まとめたコマンドの種類
+   */
+  begin(type) {
+    this.end();
+    this.group = { type, commands: [] };
+  }
+
+  /**
+   * まとめていたコマンドを 1 つのコマンドとして履歴に積む
+   */
+  end() {
+    if (this.group == null) {
+      return;
+    }
+    const { type, commands } = this.group;
+    this.group = null;
+    if (commands.length === 0) {
+      return;
+    }
+    this.push({
+      type,
+      undo() {
+        for (let i = commands.length - 1; i >= 0; i--) {
+          commands[i].undo();
+        }
+      },
+      redo() {
+        commands.forEach((command) => command.redo());
+      },
+    });
+  }
+
+  /**
+   * 直前のコマンドを取り消す
+   * @return {boolean} 取り消せたかどうか
+   */
+  undo() {
+    this.end();
+    const command = this.undoStack.pop();
+    if (command == null) {
+      return false;
+    }
+    command.undo();
+    this.redoStack.push(command);
+    return true;
+  }
+
+  /**
+   * 取り消したコマンドをやり直す
+   * @return {boolean} やり直せたかどうか
+   */
+  redo() {
+    this.end();
+    const command = this.redoStack.pop();
+    if (command == null) {
+      return false;
+    }
+    command.redo();
+    this.undoStack.push(command);
+    return true;
+  }
+
+  /**
+   * 履歴をすべて消す
+   */
+  clear() {
+    this.group = null;
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * PNG / JPEG などの画像をスプライトに変換するためのユーティリティ
+ */
+import { EMPTY, createSprite, parseColor, toHex } from './sprite.js';
+
+/**
+ * 画像の変換に使うオプションの既定値
+ */
+export const IMAGE_OPTIONS = {
+  width: 32,           // 変換後のセルの列数
+  height: null,        // 変換後のセルの行数（null のときは画像の縦横比から求める）
+  paletteSize: 16,     // パレットの最大色数
+  alphaThreshold: 128, // この値より小さいアルファ値のピクセルを透明とみなす
+  transparent: null,   // 透明なピクセルの扱い（null のときはボックスを置かない、色を指定するとその色で塗る）
+};
+
+/**
+ * 画像ファイルを読み込んでスプライトに変換する
+ * @param {Blob} file - 画像ファイル
+ * @param {object} [options] - IMAGE_OPTIONS と同じ形式のオプション
+ * @return {Promise<object>}
+ */
+export async function loadImageSprite(file, options = {}) {
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = resolveSize(bitmap.width, bitmap.height, options);
+
+  // 縮小した画像を canvas に描いてピクセルを取り出す
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const imageData = context.getImageData(0, 0, width, height);
+  return createSpriteFromPixels(imageData.data, width, height, options);
+}
+
+/**
+ * RGBA のピクセル列をスプライトに変換する
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA のピクセル列（ImageData.data と同じ並び）
+ * @param {number} width - 横のピクセル数
+ * @param {number} height - 縦のピクセル数
+ * @param {object} [options] - IMAGE_OPTIONS と同じ形式のオプション
+ * @return {object}
+ */
+export function createSpriteFromPixels(data, width, height, options = {}) {
+  const { paletteSize, alphaThreshold, transparent } = { ...IMAGE_OPTIONS, ...options };
+
+  // 透明なピクセルを除いた色を集める
+  const colors = [];
+  const pixels = [];
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * 4;
+    if (data[offset + 3] < alphaThreshold) {
+      pixels.push(null);
+      continue;
+    }
+    const color = [data[offset], data[offset + 1], data[offset + 2]];
+    colors.push(color);
+    pixels.push(color);
+  }
+
+  // 透明なピクセルを色で塗る場合はその色もパレットに含める
+  const fill = transparent == null ? null : parseColor(transparent);
+  const palette = quantize(colors, fill == null ? paletteSize : paletteSize - 1);
+  if (fill != null) {
+    palette.push(fill);
+  }
+
+  const cells = [];
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      const color = pixels[y * width + x];
+      if (color == null) {
+        row.push(fill == null ? EMPTY : palette.length - 1);
+      } else {
+        row.push(findNearest(palette, color));
+      }
+    }
+    cells.push(row);
+  }
+
+  return createSprite({
+    palette: palette.map(toHex),
+    cells,
+  });
+}
+
+/**
+ * メディアンカット法で色を減らしたパレットを求める
+ * @param {number[][]} colors - [r, g, b] の配列
+ * @param {number} maxColors - パレットの最大色数
+ * @return {number[][]}
+ */
+export function quantize(colors, maxColors) {
+  if (colors.length === 0 || maxColors < 1) {
+    return [];
+  }
+
+  // 色数が十分に少なければそのままパレットにする
+  const unique = new Map();
+  for (const color of colors) {
+    unique.set((color[0] << 16) | (color[1] << 8) | color[2], color);
+  }
+  if (unique.size <= maxColors) {
+    return [...unique.values()].map((color) => color.slice());
+  }
+
+  // 最も色の幅が広い箱を、その幅が最大のチャンネルの中央値で分割していく
+  const boxes = [colors.slice()];
+  while (boxes.length < maxColors) {
+    let target = -1;
+    let targetRange = 0;
+    let targetChannel = 0;
+    boxes.forEach((box, index) => {
+      for (let channel = 0; channel < 3; channel++) {
+        const range = channelRange(box, channel);
+        if (range > targetRange) {
+          target = index;
+          targetRange = range;
+          targetChannel = channel;
+        }
+      }
+    });
+    // これ以上分割できない
+    if (target < 0) {
+      break;
+    }
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const median = box.length >> 1;
+    boxes.splice(target, 1, box.slice(0, median), box.slice(median));
+  }
+
+  // 箱ごとの平均色をパレットの色とする
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const color of box) {
+      sum[0] += color[0];
+      sum[1] += color[1];
+      sum[2] += color[2];
+    }
+    return sum.map((value) => Math.round(value / box.length));
+  });
+}
+
+/**
+ * パレットの中から最も近い色の番号を返す
+ * @param {number[][]} palette - [r, g, b] の配列
+ * @param {number[]} color - [r, g, b]
+ * @return {number}
+ */
+export function findNearest(palette, color) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  palette.forEach((entry, index) => {
+    const dr = entry[0] - color[0];
+    const dg = entry[1] - color[1];
+    const db = entry[2] - color[2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * 変換後のセルの列数と行数を求める
+ */
+function resolveSize(imageWidth, imageHeight, options) {
+  const { width, height } = { ...IMAGE_OPTIONS, ...options };
+  if (height == null) {
+    return { width, height: Math.max(1, Math.round(width * imageHeight / imageWidth)) };
+  }
+  return { width, height };
+}
+
+/**
+ * 色の幅（最大値と最小値の差）を求める
+ */
+function channelRange(colors, channel) {
+  if (colors.length < 2) {
+    return 0;
+  }
+  let min = 255;
+  let max = 0;
+  for (const color of colors) {
+    min = Math.min(min, color[channel]);
+    max = Math.max(max, color[channel]);
+  }
+  return max - min;
+}
@@ -0,0 +1,370 @@
+/**
+ * スプライトのボックスをまとめたジオメトリを生成するためのユーティリティ
+ */
+import * as THREE from './lib/three.module.js';
+import { mergeGeometries, mergeVertices } from './lib/BufferGeometryUtils.js';
+import { EMPTY, getCellPosition } from './sprite.js';
+
+/**
+ * BoxGeometry の面（グループ）の順番に対応する、隣のセルへのずれ（列, 行, 層）
+ * 行は下向き、層は奥向きに増えるので、+Y と +Z の面はそれぞれ前の行・前の層と接する
+ */
+const FACE_NEIGHBORS = [
+  [1, 0, 0],  // +X
+  [-1, 0, 0], // -X
+  [0, -1, 0], // +Y
+  [0, 1, 0],  // -Y
+  [0, 0, -1], // +Z
+  [0, 0, 1],  // -Z
+];
+
+/**
+ * パレットの色ごとに、その色のボックスを 1 つにまとめたジオメトリを生成する
+ * 隣り合うボックスに隠れて見えない面は取り除く（隙間を空けたりレリーフで押し出したりする場合は、隣とずれた面が見えるので残す）
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} size - ボックスの一辺の長さ
+ * @param {number} [gap] - 隣り合うボックスの隙間
+ * @param {function(number, number, number): {depth: number, offset: number}|null} [relief] - 列・行・層からセルの奥行き
+ *   （一辺の長さに対する倍率）と z 方向のずれ（セルの間隔に対する倍率）を返す関数
+ * @return {Array<THREE.BufferGeometry|null>} パレット番号ごとのジオメトリ（使われていない色は null）
+ */
+export function bakeSprite(sprite, size, gap = 0, relief = null) {
+  // 色の情報はマテリアルで持つので、テクスチャ座標は使わない
+  const template = new THREE.BoxGeometry(size, size, size);
+  template.deleteAttribute('uv');
+  const templateIndex = template.getIndex().array;
+
+  const cells = sprite.palette.map(() => []);
+  const position = new THREE.Vector3();
+  for (let layer = 0; layer < sprite.depth; layer++) {
+    for (let row = 0; row < sprite.height; row++) {
+      for (let col = 0; col < sprite.width; col++) {
+        const index = sprite.layers[layer][row][col];
+        if (index === EMPTY) {
+          continue;
+        }
+
+        // 隣が空いている面だけを残す
+        const faces = [];
+        template.groups.forEach((group, face) => {
+          const [dx, dy, dz] = FACE_NEIGHBORS[face];
+          if (gap > 0 || relief != null || isEmpty(sprite, col + dx, row + dy, layer + dz)) {
+            for (let i = group.start; i < group.start + group.count; i++) {
+              faces.push(templateIndex[i]);
+            }
+          }
+        });
+        if (faces.length === 0) {
+          continue;
+        }
+
+        const geometry = template.clone();
+        geometry.clearGroups();
+        geometry.setIndex(faces);
+        getCellPosition(sprite, col, row, layer, size + gap, position);
+        if (relief != null) {
+          // 奥側の面の位置を保ったまま手前に伸ばしてから、ずれの分だけ動かす
+          const { depth, offset } = relief(col, row, layer);
+          geometry.scale(1, 1, depth);
+          position.z += offset * (size + gap) + (depth - 1) / 2 * size;
+        }
+        geometry.translate(position.x, position.y, position.z);
+        cells[index].push(geometry);
+      }
+    }
+  }
+  template.dispose();
+
+  return cells.map((geometries) => {
+    if (geometries.length === 0) {
+      return null;
+    }
+    const merged = mergeGeometries(geometries);
+    geometries.forEach((geometry) => geometry.dispose());
+    // 隣り合う面で重なった頂点を 1 つにまとめる
+    const welded = mergeVertices(merged);
+    merged.dispose();
+    return welded;
+  });
+}
+
+/**
+ * セルが空（またはグリッドの外）かどうか
+ */
+function isEmpty(sprite, col, row, layer) {
+  if (col < 0 || row < 0 || layer < 0 || col >= sprite.width || row >= sprite.height || layer >= sprite.depth) {
+    return true;
+  }
+  return sprite.layers[layer][row][col] === EMPTY;
+}
+
+/**
+ * 隣り合う同じ色の面を大きな四角形にまとめる（greedy meshing）ことで、
+ * 三角形の数をできるだけ減らした 1 つのジオメトリを生成する
+ * 色は頂点カラー（color 属性）として持たせ、四角形ごとに 4 頂点を順番に並べる
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} size - ボックスの一辺の長さ
+ * @return {THREE.BufferGeometry}
+ */
+export function greedyMesh(sprite, size) {
+  // X は列、Y は行を下から、Z は層を奥から数えた座標で処理する
+  const dims = [sprite.width, sprite.height, sprite.depth];
+  const voxel = (x) => sprite.layers[dims[2] - 1 - x[2]][dims[1] - 1 - x[1]][x[0]];
+  const colors = sprite.palette.map((value) => new THREE.Color(value));
+
+  const positions = [];
+  const normals = [];
+  const vertexColors = [];
+  const indices = [];
+
+  // 頂点の座標をグリッドの中央が原点になるよう変換して追加する
+  const pushVertex = (x, normal, color) => {
+    positions.push(
+      (x[0] - dims[0] / 2) * size,
+      (x[1] - dims[1] / 2) * size,
+      (x[2] - dims[2] / 2) * size,
+    );
+    normals.push(normal[0], normal[1], normal[2]);
+    vertexColors.push(color.r, color.g, color.b);
+  };
+
+  for (let d = 0; d < 3; d++) {
+    const u = (d + 1) % 3;
+    const v = (d + 2) % 3;
+    const x = [0, 0, 0];
+    const q = [0, 0, 0];
+    q[d] = 1;
+    // 面の向きと色を表すマスク（0 は面なし、正は +d 向き、負は -d 向きでパレット番号 + 1）
+    const mask = new Int32Array(dims[u] * dims[v]);
+
+    for (x[d] = -1; x[d] < dims[d];) {
+      // 境界面をはさむ 2 つのセルを比べて、片方だけが埋まっていれば面を作る
+      let n = 0;
+      for (x[v] = 0; x[v] < dims[v]; x[v]++) {
+        for (x[u] = 0; x[u] < dims[u]; x[u]++) {
+          const a = x[d] >= 0 ? voxel(x) : EMPTY;
+          const b = x[d] < dims[d] - 1 ? voxel([x[0] + q[0], x[1] + q[1], x[2] + q[2]]) : EMPTY;
+          if ((a === EMPTY) === (b === EMPTY)) {
+            mask[n++] = 0;
+          } else if (a !== EMPTY) {
+            mask[n++] = a + 1;
+          } else {
+            mask[n++] = -(b + 1);
+          }
+        }
+      }
+      x[d]++;
+
+      // マスクの中で同じ値が続く範囲を四角形にまとめる
+      n = 0;
+      for (let j = 0; j < dims[v]; j++) {
+        for (let i = 0; i < dims[u];) {
+          const c = mask[n];
+          if (c === 0) {
+            i++;
+            n++;
+            continue;
+          }
+          let w = 1;
+          while (i + w < dims[u] && mask[n + w] === c) {
+            w++;
+          }
+          let h = 1;
+          expand: for (; j + h < dims[v]; h++) {
+            for (let k = 0; k < w; k++) {
+              if (mask[n + k + h * dims[u]] !== c) {
+                break expand;
+              }
+            }
+          }
+
+          x[u] = i;
+          x[v] = j;
+          const du = [0, 0, 0];
+          const dv = [0, 0, 0];
+          du[u] = w;
+          dv[v] = h;
+          const normal = [0, 0, 0];
+          normal[d] = c > 0 ? 1 : -1;
+          const color = colors[Math.abs(c) - 1];
+          const base = positions.length / 3;
+          pushVertex(x, normal, color);
+          pushVertex([x[0] + du[0], x[1] + du[1], x[2] + du[2]], normal, color);
+          pushVertex([x[0] + du[0] + dv[0], x[1] + du[1] + dv[1], x[2] + du[2] + dv[2]], normal, color);
+          pushVertex([x[0] + dv[0], x[1] + dv[1], x[2] + dv[2]], normal, color);
+          // 面の向きに合わせて三角形の巻き順を反転する
+          if (c > 0) {
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+          } else {
+            indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+          }
+
+          for (let l = 0; l < h; l++) {
+            mask.fill(0, n + l * dims[u], n + l * dims[u] + w);
+          }
+          i += w;
+          n += w;
+        }
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+/**
+ * greedyMesh で生成したジオメトリの四角形の輪郭を線分のジオメトリとして取り出す
+ * @param {THREE.BufferGeometry} geometry - greedyMesh で生成したジオメトリ
+ * @return {THREE.BufferGeometry} LineSegments で描画するためのジオメトリ
+ */
+export function createQuadEdges(geometry) {
+  const source = geometry.getAttribute('position');
+  const positions = [];
+  for (let quad = 0; quad < source.count; quad += 4) {
+    for (let i = 0; i < 4; i++) {
+      const from = quad + i;
+      const to = quad + (i + 1) % 4;
+      positions.push(
+        source.getX(from), source.getY(from), source.getZ(from),
+        source.getX(to), source.getY(to), source.getZ(to),
+      );
+    }
+  }
+  const edges = new THREE.BufferGeometry();
+  edges.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return edges;
+}
+
+/**
+ * 表から見えるボックスの面の輪郭を線分のジオメトリとして生成する
+ * silhouette が true のときは形の輪郭（面の向きが変わるところと、面が途切れるところ）だけを、
+ * false のときは見えている面のすべてのセルの境目（グリッドの線）を生成する
+ * 隙間を空けて並べる場合はボックスが離れているので、silhouette によらずボックスごとに 12 本の辺を生成する
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} size - ボックスの一辺の長さ
+ * @param {boolean} [silhouette] - 形の輪郭だけにするかどうか
+ * @param {number} [gap] - 隣り合うボックスの隙間
+ * @return {THREE.BufferGeometry} LineSegments で描画するためのジオメトリ
+ */
+export function createOutlineEdges(sprite, size, silhouette = false, gap = 0) {
+  if (gap > 0) {
+    return createBoxEdges(sprite, size, gap);
+  }
+  const dims = [sprite.width, sprite.height, sprite.depth];
+  const filled = (c) => !isEmpty(sprite, c[0], c[1], c[2]);
+  const offset = (c, axis, delta) => {
+    const result = c.slice();
+    result[axis] += delta;
+    return result;
+  };
+
+  // 格子点（列, 行, 層の境目）の座標をグリッドの中央が原点になるよう変換して追加する
+  const positions = [];
+  const pushPoint = (p) => {
+    positions.push(
+      (p[0] - dims[0] / 2) * size,
+      (dims[1] / 2 - p[1]) * size,
+      (dims[2] / 2 - p[2]) * size,
+    );
+  };
+  // 隣り合う面が共有する辺を重複して追加しないよう、追加済みの辺を記録する
+  const added = new Set();
+  const pushEdge = (from, to) => {
+    const key = `${from.join(',')}:${to.join(',')}`;
+    if (added.has(key)) {
+      return;
+    }
+    added.add(key);
+    pushPoint(from);
+    pushPoint(to);
+  };
+
+  for (let layer = 0; layer < dims[2]; layer++) {
+    for (let row = 0; row < dims[1]; row++) {
+      for (let col = 0; col < dims[0]; col++) {
+        const cell = [col, row, layer];
+        if (!filled(cell)) {
+          continue;
+        }
+        for (let d = 0; d < 3; d++) {
+          for (const s of [-1, 1]) {
+            // 隣が埋まっていて見えない面は対象外
+            if (filled(offset(cell, d, s))) {
+              continue;
+            }
+            // 面が乗っている平面の座標
+            const plane = cell[d] + (s > 0 ? 1 : 0);
+            for (const t of [(d + 1) % 3, (d + 2) % 3]) {
+              const o = 3 - d - t;
+              for (const e of [0, 1]) {
+                if (silhouette) {
+                  // 辺をはさんで同じ向きの面が続いている場合は輪郭ではない
+                  const neighbor = offset(cell, t, e === 0 ? -1 : 1);
+                  if (filled(neighbor) && !filled(offset(neighbor, d, s))) {
+                    continue;
+                  }
+                }
+                const from = [0, 0, 0];
+                from[d] = plane;
+                from[t] = cell[t] + e;
+                from[o] = cell[o];
+                pushEdge(from, offset(from, o, 1));
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const edges = new THREE.BufferGeometry();
+  edges.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return edges;
+}
+
+/**
+ * 空でないボックスごとに 12 本の辺を線分のジオメトリとして生成する
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} size - ボックスの一辺の長さ
+ * @param {number} gap - 隣り合うボックスの隙間
+ * @return {THREE.BufferGeometry} LineSegments で描画するためのジオメトリ
+ */
+function createBoxEdges(sprite, size, gap) {
+  const positions = [];
+  const center = new THREE.Vector3();
+  const half = size / 2;
+  for (let layer = 0; layer < sprite.depth; layer++) {
+    for (let row = 0; row < sprite.height; row++) {
+      for (let col = 0; col < sprite.width; col++) {
+        if (isEmpty(sprite, col, row, layer)) {
+          continue;
+        }
+        getCellPosition(sprite, col, row, layer, size + gap, center);
+        // 軸ごとに、その軸に平行な 4 本の辺を追加する
+        for (let d = 0; d < 3; d++) {
+          for (let i = 0; i < 4; i++) {
+            const from = [0, 0, 0];
+            from[d] = -half;
+            from[(d + 1) % 3] = i & 1 ? half : -half;
+            from[(d + 2) % 3] = i & 2 ? half : -half;
+            const to = from.slice();
+            to[d] = half;
+            positions.push(
+              center.x + from[0], center.y + from[1], center.z + from[2],
+              center.x + to[0], center.y + to[1], center.z + to[2],
+            );
+          }
+        }
+      }
+    }
+  }
+
+  const edges = new THREE.BufferGeometry();
+  edges.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return edges;
+}
@@ -0,0 +1,89 @@
+/**
+ * パレットの色を編集するためのパネル
+ * 色見本をクリックするとペイントに使う色として選択され、色を変えるとその色のセルがすべて塗り変わる
+ */
+import { EMPTY, parseColor, toHex } from './sprite.js';
+
+export class PalettePanel {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {App3} app - パレットを編集する対象
+   * @param {HTMLElement} container - パネルを追加する要素
+   */
+  constructor(app, container) {
+    this.app = app; // パレットを編集する対象
+    this.swatches = []; // 色見本の入力要素
+
+    this.element = document.createElement('div');
+    this.element.className = 'palette';
+    this.list = document.createElement('div');
+    this.list.className = 'palette__list';
+    this.element.appendChild(this.list);
+
+    // 消しゴム
+    this.eraser = document.createElement('button');
+    this.eraser.type = 'button';
+    this.eraser.className = 'palette__eraser';
+    this.eraser.textContent = '消しゴム';
+    this.eraser.addEventListener('click', () => {
+      this.app.setPaintIndex(EMPTY);
+    }, false);
+    this.element.appendChild(this.eraser);
+
+    container.appendChild(this.element);
+    this.update();
+  }
+
+  /**
+   * パネルの表示を App3 の状態に合わせる
+   */
+  update() {
+    const { palette } = this.app.sprite;
+    // 色の数が変わったときだけ色見本を作り直す
+    if (this.swatches.length !== palette.length) {
+      this.build(palette.length);
+    }
+    palette.forEach((color, index) => {
+      const swatch = this.swatches[index];
+      const value = toHex(parseColor(color));
+      if (swatch.value !== value) {
+        swatch.value = value;
+      }
+      swatch.parentElement.classList.toggle('is-selected', index === this.app.paintIndex);
+    });
+    this.eraser.classList.toggle('is-selected', this.app.paintIndex === EMPTY);
+    this.element.hidden = !this.app.isEditing;
+  }
+
+  /**
+   * 色見本を作り直す
+   * @param {number} count - パレットの色数
+   */
+  build(count) {
+    this.list.textContent = '';
+    this.swatches = [];
+    for (let index = 0; index < count; index++) {
+      const label = document.createElement('label');
+      label.className = 'palette__swatch';
+      label.title = `${index + 1}`;
+      const input = document.createElement('input');
+      input.type = 'color';
+      // 色の選択を始めたらペイントに使う色にする
+      input.addEventListener('click', () => {
+        this.app.setPaintIndex(index);
+      }, false);
+      // ピッカーを操作している間の変化は 1 つの操作として履歴に残す
+      input.addEventListener('input', () => {
+        this.app.beginEdit('palette');
+        this.app.setPaletteColor(index, input.value);
+      }, false);
+      input.addEventListener('change', () => {
+        this.app.endEdit();
+      }, false);
+      label.appendChild(input);
+      this.list.appendChild(label);
+      this.swatches.push(input);
+    }
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * 画面を低い解像度で描き直し、色をパレットに合わせて減色するポストプロセスのパス
+ * 前のパスの結果を低解像度のレンダーターゲットに直接描き込むので、シーンを描き直さずに済む
+ * 拡大する際は補間しないので、ドット絵のような見た目になる
+ */
+import {
+  DataTexture,
+  NearestFilter,
+  RGBAFormat,
+  ShaderMaterial,
+  UniformsUtils,
+  WebGLRenderTarget,
+} from './lib/three.module.js';
+import { FullScreenQuad } from './lib/Pass.js';
+import { ShaderPass } from './lib/ShaderPass.js';
+import { CopyShader } from './lib/CopyShader.js';
+import { parseColor } from './sprite.js';
+
+/**
+ * パレットの最大色数（シェーダー内のループの上限）
+ */
+const MAX_PALETTE_SIZE = 256;
+
+/**
+ * 色をパレットの中で最も近い色に置き換えるシェーダー
+ * dither が 0 より大きいときは 4x4 の組織的ディザをかけてから置き換える
+ */
+export const PixelateShader = {
+  name: 'PixelateShader',
+
+  defines: {
+    MAX_PALETTE_SIZE,
+  },
+
+  uniforms: {
+    tDiffuse: { value: null },
+    tPalette: { value: null },
+    paletteSize: { value: 0 },
+    quantize: { value: true },
+    dither: { value: 0.0 },
+  },
+
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+    }`,
+
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tPalette;
+    uniform int paletteSize;
+    uniform bool quantize;
+    uniform float dither;
+
+    varying vec2 vUv;
+
+    // 4x4 のベイヤー行列（0.0 〜 1.0）
+    float bayer4( vec2 position ) {
+      vec2 p = mod( floor( position ), 4.0 );
+      float x = p.x;
+      float y = p.y;
+      float b = mod( x, 2.0 ) * 2.0 + mod( x + y, 2.0 );
+      float a = mod( floor( x / 2.0 ), 2.0 ) * 2.0 + mod( floor( x / 2.0 ) + floor( y / 2.0 ), 2.0 );
+      return ( b * 4.0 + a + 0.5 ) / 16.0;
+    }
+
+    void main() {
+      vec4 texel = texture2D( tDiffuse, vUv );
+      if ( !quantize || paletteSize == 0 ) {
+        gl_FragColor = texel;
+        return;
+      }
+
+      vec3 color = texel.rgb + ( bayer4( gl_FragCoord.xy ) - 0.5 ) * dither;
+      vec3 nearest = color;
+      float nearestDistance = 1e9;
+      for ( int i = 0; i < MAX_PALETTE_SIZE; i++ ) {
+        if ( i >= paletteSize ) break;
+        vec3 candidate = texture2D( tPalette, vec2( ( float( i ) + 0.5 ) / float( MAX_PALETTE_SIZE ), 0.5 ) ).rgb;
+        vec3 diff = color - candidate;
+        float d = dot( diff, diff );
+        if ( d < nearestDistance ) {
+          nearestDistance = d;
+          nearest = candidate;
+        }
+      }
+      gl_FragColor = vec4( nearest, texel.a );
+    }`,
+};
+
+export class PixelatePass extends ShaderPass {
+  /**
+   * コンストラクタ
+   * @constructor
+   * @param {object} [options]
+   * @param {number} [options.pixelSize] - 低解像度の 1 ピクセルを何ピクセルで表示するか
+   * @param {Array<string|number>} [options.palette] - 減色に使うパレット（空のときは減色しない）
+   * @param {boolean} [options.quantize] - パレットへの減色をするかどうか
+   * @param {number} [options.dither] - 組織的ディザの強さ（0 のときはディザをかけない）
+   */
+  constructor({ pixelSize = 4, palette = [], quantize = true, dither = 0.0 } = {}) {
+    super(PixelateShader);
+    this._pixelSize = Math.max(1, Math.floor(pixelSize)); // 低解像度の 1 ピクセルの大きさ
+    this.width = 1;  // 出力先の横幅
+    this.height = 1; // 出力先の縦幅
+
+    // パレットの色を並べたテクスチャ（色を変えるたびに作り直さないよう、最大の色数で確保しておく）
+    this.paletteTexture = new DataTexture(new Uint8Array(MAX_PALETTE_SIZE * 4), MAX_PALETTE_SIZE, 1, RGBAFormat);
+    this.paletteTexture.magFilter = NearestFilter;
+    this.paletteTexture.minFilter = NearestFilter;
+    this.uniforms['tPalette'].value = this.paletteTexture;
+
+    // 減色した結果を書き込む低解像度のレンダーターゲット（拡大するときに補間しない）
+    this.lowResTarget = new WebGLRenderTarget(1, 1, {
+      minFilter: NearestFilter,
+      magFilter: NearestFilter,
+    });
+    this.copyMaterial = new ShaderMaterial({
+      uniforms: UniformsUtils.clone(CopyShader.uniforms),
+      vertexShader: CopyShader.vertexShader,
+      fragmentShader: CopyShader.fragmentShader,
+    });
+    this.copyQuad = new FullScreenQuad(this.copyMaterial);
+
+    this.quantize = quantize;
+    this.dither = dither;
+    this.setPalette(palette);
+  }
+
+  /**
+   * 低解像度の 1 ピクセルを何ピクセルで表示するか
+   * @type {number}
+   */
+  get pixelSize() {
+    return this._pixelSize;
+  }
+  set pixelSize(value) {
+    this._pixelSize = Math.max(1, Math.floor(value));
+    this.setSize(this.width, this.height);
+  }
+
+  /**
+   * パレットへの減色をするかどうか
+   * @type {boolean}
+   */
+  get quantize() {
+    return this.uniforms['quantize'].value;
+  }
+  set quantize(value) {
+    this.uniforms['quantize'].value = value;
+  }
+
+  /**
+   * 組織的ディザの強さ（0 のときはディザをかけない）
+   * @type {number}
+   */
+  get dither() {
+    return this.uniforms['dither'].value;
+  }
+  set dither(value) {
+    this.uniforms['dither'].value = value;
+  }
+
+  /**
+   * 減色に使うパレットを設定する
+   * @param {Array<string|number>} palette - '#rrggbb' 形式の文字列または数値の配列
+   */
+  setPalette(palette) {
+    if (palette.length > MAX_PALETTE_SIZE) {
+      throw new Error(`PixelatePass: パレットの色数は ${MAX_PALETTE_SIZE} 以下にしてください（${palette.length}）`);
+    }
+    const { data } = this.paletteTexture.image;
+    palette.forEach((color, index) => {
+      data.set([...parseColor(color), 255], index * 4);
+    });
+    this.paletteTexture.needsUpdate = true;
+    this.uniforms['paletteSize'].value = palette.length;
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.lowResTarget.setSize(
+      Math.max(1, Math.ceil(width / this._pixelSize)),
+      Math.max(1, Math.ceil(height / this._pixelSize)),
+    );
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    // 低解像度のレンダーターゲットに、前のパスの結果を縮小しながら減色した結果を描き込む
+    this.uniforms['tDiffuse'].value = readBuffer.texture;
+    renderer.setRenderTarget(this.lowResTarget);
+    this.fsQuad.render(renderer);
+
+    // 補間せずに元の解像度へ拡大する
+    this.copyMaterial.uniforms['tDiffuse'].value = this.lowResTarget.texture;
+    if (this.renderToScreen) {
+      renderer.setRenderTarget(null);
+      this.copyQuad.render(renderer);
+    } else {
+      renderer.setRenderTarget(writeBuffer);
+      if (this.clear) renderer.clear(renderer.autoClearColor, renderer.autoClearDepth, renderer.autoClearStencil);
+      this.copyQuad.render(renderer);
+    }
+  }
+
+  dispose() {
+    super.dispose();
+    this.lowResTarget.dispose();
+    this.copyMaterial.dispose();
+    this.copyQuad.dispose();
+    this.paletteTexture.dispose();
+  }
+}
@@ -1,17 +1,87 @@
 // 必要なモジュールを読み込み
 import * as THREE from './lib/three.module.js';
 import { OrbitControls } from './lib/OrbitControls.js';
+import { EffectComposer } from './lib/EffectComposer.js';
+import { RenderPass } from './lib/RenderPass.js';
+import { DotScreenPass } from './lib/DotScreenPass.js';
+import { MaskPass, ClearMaskPass } from './lib/MaskPass.js';
+import { ControllableGlitchPass } from './glitch-pass.js';
+import { PixelatePass } from './pixelate-pass.js';
+import { EMPTY, createSprite, getCellPosition, loadSprite, parseColor, resizeSprite } from './sprite.js';
+import { History } from './history.js';
+import { PalettePanel } from './palette-panel.js';
+import { IMAGE_OPTIONS, loadImageSprite } from './image.js';
+import { parseVox, writeVox } from './vox.js';
+import { ASEPRITE_OPTIONS, loadAsepriteSprite } from './aseprite.js';
+import { MODEL_EXTENSIONS, VOXELIZE_OPTIONS, loadModelSprite } from './voxelize.js';
+import { exportGLTF } from './gltf.js';
+import { bakeSprite, createOutlineEdges, createQuadEdges, greedyMesh } from './mesher.js';
+import { getEasing } from './easing.js';
 
 // DOM がパースされたことを検出するイベントを設定
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+  // スプライトを読み込む（読み込めなかった場合は空のスプライトで始めて、ファイルのドロップを受け付ける）
+  let sprite;
+  try {
+    sprite = await loadSprite('./sprites/character.json');
+  } catch (error) {
+    console.error(error);
+    sprite = { palette: ['#ffffff'], cells: [[EMPTY]] };
+  }
   // 制御クラスのインスタンスを生成
-  const app = new App3();
+  const app = new App3(sprite);
   // 初期化
-  app.init();
+  app.init(document.querySelector('#webgl'));
   // 描画
   app.render();
 }, false);
 
+// 計算用の一時オブジェクト
+const _color = new THREE.Color();
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _tweenColor = new THREE.Color();
+const _pointer = new THREE.Vector2();
+const _size = new THREE.Vector2();
+
+// 同じページに複数の App3 がある場合に、キー操作の対象になっているもの（最後にポインタで操作したもの）
+let activeApp = null;
+
+// 押し出していないセルのレリーフ
+const FLAT_RELIEF = Object.freeze({ depth: 1.0, offset: 0.0 });
+
+/**
+ * Blob をファイルとしてダウンロードさせる
+ * @param {Blob} blob - 保存するデータ
+ * @param {string} filename - ファイル名
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  // ダウンロードが始まる前に URL を破棄しないよう、少し遅らせる
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * レリーフの指定を { depth, offset } の形にそろえる
+ * @param {number|{depth: number, offset: number}|null} relief - 奥行き、または奥行きとずれ
+ * @return {{depth: number, offset: number}|null}
+ */
+function normalizeRelief(relief) {
+  if (relief == null) {
+    return null;
+  }
+  const { depth = 1.0, offset = 0.0 } = typeof relief === 'number' ? { depth: relief } : relief;
+  if (!(Number.isFinite(depth) && depth > 0.0) || !Number.isFinite(offset)) {
+    throw new Error(`App3: レリーフの奥行き ${depth} またはずれ ${offset} が不正です`);
+  }
+  return { depth, offset };
+}
+
 /**
  * three.js を効率よく扱うために自家製の制御クラスを定義
  */
@@ -23,13 +93,11 @@ class App3 {
     return {
       // fovy は Field of View Y のことで、縦方向の視野角を意味する
       fovy: 60,
-      // 描画する空間のアスペクト比（縦横比）
-      aspect: window.innerWidth / window.innerHeight,
       // 描画する空間のニアクリップ面（最近面）
       near: 0.1,
       // 描画する空間のファークリップ面（最遠面）
       far: 400.0,
-      // カメラの位置
+      // カメラの位置（FIT_PARAM.auto が true のときは注視点から見た向きだけを使う）
       x: 0.0,
       y: 0.0,
       z: 25.0,
@@ -37,17 +105,86 @@ class App3 {
       lookAt: new THREE.Vector3(0.0, 0.0, 0.0),
     };
   }
+  /**
+   * 平行投影カメラ定義のための定数
+   */
+  static get ORTHOGRAPHIC_PARAM() {
+    return {
+      height: 28.0,       // zoom が 1 のときに縦方向に写る範囲
+      toggleKey: 'p',     // 透視投影と平行投影を切り替えるキー
+      presetKey: 'v',     // カメラの向きのプリセットを順番に切り替えるキー
+      transitionFov: 10,  // 透視投影と切り替える際に、視野角をここまで狭めて平行投影に近づける
+      duration: 0.6,      // 切り替えのアニメーションの時間（秒）
+    };
+  }
+  /**
+   * カメラの向きのプリセット定義のための定数
+   * azimuth は正面から Y 軸まわりに回した角度、elevation は見下ろす角度（どちらも度）
+   */
+  static get CAMERA_PRESET_PARAM() {
+    return {
+      front: { azimuth: 0.0, elevation: 0.0 },
+      // 地面に平行な辺が 2:1 の傾きで描かれるドット絵の等角図（sin(30°) = 1/2）
+      isometric: { azimuth: 45.0, elevation: 30.0 },
+      // 地面に平行な辺が 4:1 の傾きで描かれる、低い視点の二等角図
+      dimetric: { azimuth: 45.0, elevation: THREE.MathUtils.radToDeg(Math.asin(0.25)) },
+    };
+  }
+  /**
+   * スプライト全体が写るようにカメラを合わせる処理の定義のための定数
+   */
+  static get FIT_PARAM() {
+    return {
+      auto: true,   // 初期化時、リサイズ時、スプライトの差し替え時に自動的にカメラを合わせるかどうか
+      padding: 1.1, // スプライトの周りに空ける余白（1.0 で画面いっぱい）
+    };
+  }
+  /**
+   * 時間の進め方の定義のための定数
+   */
+  static get CLOCK_PARAM() {
+    return {
+      timeScale: 1.0, // アニメーションの時間の進む速さ（1.0 で実時間）
+      fixedStep: null, // 固定の時間刻み（秒）で更新する場合の刻み（null のときは描画ごとの経過時間で更新する）
+      maxSteps: 5,     // 固定の時間刻みで 1 回の描画の間に更新する最大の回数
+      maxDelta: 0.1,   // 1 回の描画で進める最大の時間（タブが非表示だった後などに大きく飛ばないようにする）
+    };
+  }
+  /**
+   * オービットコントロール定義のための定数
+   */
+  static get CONTROLS_PARAM() {
+    return {
+      enableDamping: true, // 慣性を付けるかどうか
+      dampingFactor: 0.1,  // 60 fps で描画したときの 1 回あたりの減衰率（描画の頻度が違っても同じ速さで減衰させる）
+    };
+  }
   /**
    * レンダラー定義のための定数
    */
   static get RENDERER_PARAM() {
     return {
-      // レンダラーが背景をリセットする際に使われる背景色
+      // レンダラーが背景をリセットする際に使われる背景色（描画する領域の大きさは init に渡した要素に合わせる）
       clearColor: 0x666666,
-      // レンダラーが描画する領域の横幅
-      width: window.innerWidth,
-      // レンダラーが描画する領域の縦幅
-      height: window.innerHeight,
+    };
+  }
+  /**
+   * ポストプロセス定義のための定数
+   */
+  static get POST_PROCESS_PARAM() {
+    return {
+      // エフェクトコンポーザーを通して描画するかどうか
+      enabled: true,
+      // レンダーパスの後に上から順に適用するパス
+      // type には glitch, dotScreen, pixelate, mask（スプライトの形で以降のパスを切り抜く）, clearMask を指定できる
+      // glitch では auto（一定の間隔で自動的にグリッチを起こすか）と seed（乱数のシード）を指定できる
+      // pixelate では pixelSize（低解像度の 1 ピクセルの大きさ）、quantize（スプライトのパレットに減色するか）、
+      // dither（組織的ディザの強さ）を指定できる
+      passes: [
+        { name: 'pixelate', type: 'pixelate', enabled: false, pixelSize: 4, quantize: true, dither: 0.1 },
+        { name: 'dotScreen', type: 'dotScreen', enabled: false, scale: 4.0 },
+        { name: 'glitch', type: 'glitch', enabled: false, auto: false, seed: null },
+      ],
     };
   }
   /**
@@ -77,72 +214,432 @@ class App3 {
   static get MATERIAL_PARAM() {
     return {
       color: 0xffffff, // マテリアルの基本色
+      // 輪郭線が面に埋もれないよう、面を少し奥にずらして描画する
+      polygonOffset: true,
+      polygonOffsetFactor: 1.0,
+      polygonOffsetUnits: 1.0,
+    };
+  }
+  /**
+   * ボックス定義のための定数
+   */
+  static get BOX_PARAM() {
+    return {
+      size: 1.0, // ボックスの一辺の長さ（setCellSize で変更できる）
+      gap: 0.0,  // 隣り合うボックスの隙間（setCellSize で変更できる）
+    };
+  }
+  /**
+   * greedy meshing の四角形を確認するための線のマテリアル定義のための定数
+   */
+  static get QUAD_WIREFRAME_PARAM() {
+    return {
+      color: 0xff00ff, // 線の色
+    };
+  }
+  /**
+   * 編集モード定義のための定数
+   */
+  static get EDIT_PARAM() {
+    return {
+      toggleKey: 'e',      // 編集モードを切り替えるキー
+      orbitKey: 'altKey',  // 編集モード中にこのキーを押しながらドラッグするとカメラを回転できる
+      fillKey: 'shiftKey', // 編集モード中にこのキーを押しながらクリックすると塗りつぶす
+    };
+  }
+  /**
+   * イベントに合わせたグリッチ定義のための定数
+   * duration は長さ（秒）、intensity は強さ（null にするとそのイベントではグリッチを起こさない）
+   */
+  static get GLITCH_PARAM() {
+    return {
+      pass: 'glitch',                          // グリッチを起こすパスの名前
+      hover: null,                             // ポインタがスプライトに乗ったとき（例: { duration: 0.2, intensity: 0.3 }）
+      click: { duration: 0.5, intensity: 1.0 }, // スプライトをクリックしたとき（編集モード以外）
+      clickTolerance: 4,                       // クリックとみなすポインタの移動量の上限（px）
     };
   }
+  /**
+   * 操作履歴定義のための定数
+   */
+  static get HISTORY_PARAM() {
+    return {
+      limit: 100, // 取り消せる操作の最大数
+    };
+  }
+  /**
+   * 輪郭線のマテリアル定義のための定数
+   */
   static get LINE_MATERIAL_PARAM() {
     return {
       color: 0x000000, // マテリアルの基本色
       transparent: true,
-      opacity: 0.0,
+      opacity: 0.0,    // 最初は見えない状態にしておき、fadeOutline でフェードインする
+    };
+  }
+  /**
+   * 輪郭線定義のための定数
+   */
+  static get OUTLINE_PARAM() {
+    return {
+      toggleKey: 'o',     // 輪郭線の表示をフェードで切り替えるキー
+      silhouette: false,  // true のときは形の輪郭だけ、false のときはすべてのセルの境目に線を引く
+      opacity: 1.0,       // 表示したときの不透明度
+      fadeDuration: 0.3,  // フェードにかける時間（秒）
+      fadeStart: 12.0,    // セルが画面上でこのピクセル数より小さくなると薄くし始める
+      fadeEnd: 4.0,       // セルが画面上でこのピクセル数より小さいときは線を消す（null にすると大きさで薄くしない）
+    };
+  }
+  /**
+   * 複数のフレームを持つスプライトのアニメーション定義のための定数
+   */
+  static get FRAME_ANIMATION_PARAM() {
+    return {
+      autoplay: true, // スプライトを読み込んだら再生を始めるかどうか
+      mode: 'loop',   // 再生の仕方（loop: 繰り返す、once: 最後のフレームで止める、pingpong: 往復する）
+      tween: 0.0,     // フレームの表示時間のうち、前のフレームから変化させる割合（0.0 のときは一瞬で切り替える）
+      playKey: ' ',   // 再生と一時停止を切り替えるキー
+      prevKey: ',',   // 前のフレームに戻すキー
+      nextKey: '.',   // 次のフレームに進めるキー
+    };
+  }
+  /**
+   * ボックスが飛び散って元に戻るアニメーション定義のための定数
+   */
+  static get EXPLODE_PARAM() {
+    return {
+      toggleKey: 'x',   // 飛び散らせる・元に戻すを切り替えるキー
+      style: 'radial',  // 飛び散り方（radial: 中心から放射状、scatter: ばらばらの向き、drop: 床へ落下）
+      duration: 1.0,    // 1 つのボックスが動く時間（秒）
+      stagger: 0.6,     // ボックスごとに動き出す時刻をずらす最大の幅（秒）
+      distance: 15.0,   // 飛び散る距離の目安
+      // 飛び散るときのイージング（飛び散り方ごと）
+      easing: { radial: 'easeOutCubic', scatter: 'easeOutCubic', drop: 'easeOutBounce' },
+      assembleEasing: 'easeInOutCubic', // 元に戻るときのイージング
+    };
+  }
+  /**
+   * 色ごと（またはセルごと）にボックスを手前へ押し出すレリーフ表示定義のための定数
+   * 奥行き（depth）はセルの大きさを 1 とした倍率、ずれ（offset）はセルの大きさを単位とする
+   */
+  static get RELIEF_PARAM() {
+    return {
+      toggleKey: 'r',   // レリーフ表示を切り替えるキー
+      enabled: false,   // 最初からレリーフ表示にするかどうか
+      minDepth: 1.0,    // 奥行きを指定していない色のうち、最も明るい色の奥行き
+      maxDepth: 2.0,    // 奥行きを指定していない色のうち、最も暗い色の奥行き（輪郭の暗い色ほど手前に出る）
+      duration: 0.5,    // 高さの変化にかける時間（秒）
+      easing: 'easeInOutCubic', // 高さの変化のイージング
     };
   }
 
   /**
    * コンストラクタ
    * @constructor
+   * @param {object} sprite - 描画するスプライト（palette と cells（または layers）を持つオブジェクト）
    */
-  constructor() {
+  constructor(sprite) {
+    this.sprite = createSprite(sprite); // スプライト
     this.renderer;         // レンダラ
     this.scene;            // シーン
-    this.camera;           // カメラ
+    this.camera;           // 描画に使っているカメラ
+    this.perspectiveCamera;  // 透視投影カメラ
+    this.orthographicCamera; // 平行投影カメラ
+    this.cameraTransition = null; // 進行中のカメラのアニメーション
+    this.cameraPreset = null; // 最後に選んだカメラの向きのプリセット名
+    this.cameraFar = App3.CAMERA_PARAM.far; // スプライトの大きさに合わせたカメラのファークリップ面
     this.directionalLight; // ディレクショナルライト
     this.ambientLight;     // アンビエントライト
     this.material;         // マテリアル
-    this.boxGeometry       // ボックスジオメトリ
-    this.box               // メッシュ
+    this.boxGeometry;      // ボックスジオメトリ
+    this.cellSize = App3.BOX_PARAM.size; // ボックスの一辺の長さ
+    this.cellGap = App3.BOX_PARAM.gap;   // 隣り合うボックスの隙間
+    this.boxes;            // インスタンスメッシュ（セルごとに 1 インスタンス）
+    this.bakedMeshes = null; // 色ごとにまとめた静的なメッシュ（bake しているときのみ）
+    this.bakeOptions = null; // bake したときのオプション
+    this.isBakeDirty = false; // bake した後にセルが変更されたかどうか
+    this.quadWireframe = null; // greedy meshing の四角形の輪郭（デバッグ用）
+    this.isQuadWireframeVisible = false; // 四角形の輪郭を表示するかどうか
+    this.outline = null;   // ボックスの輪郭線
+    this.isOutlineSilhouette = App3.OUTLINE_PARAM.silhouette; // 輪郭線を形の輪郭だけにするかどうか
+    this.isOutlineDirty = false; // 輪郭線を生成した後にセルが変更されたかどうか
+    this.outlineOpacity = App3.LINE_MATERIAL_PARAM.opacity; // 距離で薄くする前の輪郭線の不透明度
+    this.outlineFade = null; // 進行中のフェード（from, to, start, duration）
+    this.explodeTargets = null; // セルごとの飛び散った先の位置（インスタンスごとに xyz の 3 要素）
+    this.explodeDelays = null;  // セルごとの動き出すまでの時間（秒）
+    this.explodeAmounts = null; // セルごとの飛び散り具合（0.0 で元の位置、1.0 で飛び散った先）
+    this.explodeLevel = 0.0;    // 最も飛び散っているセルの飛び散り具合
+    this.cellAnimation = null;  // 進行中のセルのアニメーション
+    this.frameIndex = 0;        // 表示しているフレームの番号
+    this.frameTime = 0.0;       // 表示しているフレームに切り替えてからの経過時間（秒）
+    this.frameDirection = 1;    // フレームを進める向き（1 または -1）
+    this.frameTag = null;       // 再生しているタグの名前（null のときはすべてのフレームを再生する）
+    this.frameMode = App3.FRAME_ANIMATION_PARAM.mode; // フレームの再生の仕方
+    this.frameTweenRatio = App3.FRAME_ANIMATION_PARAM.tween; // フレームの間を変化させる割合
+    this.isFramePlaying = App3.FRAME_ANIMATION_PARAM.autoplay; // フレームを再生しているかどうか
+    this.frameTween = null;     // 進行中のフレームの間の変化
+    this.cellScales = null;     // 大きさを上書きしているセル（インスタンスの番号から大きさへの Map）
+    this.isReliefEnabled = App3.RELIEF_PARAM.enabled; // レリーフ表示にしているかどうか
+    this.paletteReliefs = [];   // パレット番号ごとの奥行きとずれ（指定していない色は明るさから決める）
+    this.reliefMap = null;      // セルごとの奥行きとずれ（行・列の 2 次元配列、パレットの指定より優先する）
+    this.reliefDepths = null;   // セルごとの今の奥行き
+    this.reliefOffsets = null;  // セルごとの今の z 方向のずれ
+    this.reliefLevel = 0.0;     // 平らな状態から最も離れているセルの度合い（0.0 〜 1.0）
+    this.isReliefLevelDirty = false; // reliefLevel を求め直す必要があるかどうか
+    this.reliefAnimation = null; // 進行中の高さの変化
     this.controls;         // オービットコントロール
+    this.clock = new THREE.Clock(false); // 描画の間隔を測る時計
+    this.time = 0.0;       // アニメーションの経過時間（秒、一時停止中は進まず timeScale の影響を受ける）
+    this.realTime = 0.0;   // 描画を始めてからの実時間（秒、カメラの操作など一時停止の影響を受けないものに使う）
+    this.timeScale = App3.CLOCK_PARAM.timeScale; // アニメーションの時間の進む速さ
+    this.fixedStep = App3.CLOCK_PARAM.fixedStep; // 固定の時間刻み（null のときは可変）
+    this.stepAccumulator = 0.0; // 固定の時間刻みで更新しきれていない時間
+    this.isPaused = false; // アニメーションを一時停止しているかどうか
+    this.updateCallbacks = new Set(); // 更新のたびに呼ばれる関数
+    this.composer;         // エフェクトコンポーザー
+    this.renderPass;       // シーンを描画するレンダーパス
+    this.isPostProcessEnabled = App3.POST_PROCESS_PARAM.enabled; // エフェクトコンポーザーを通して描画するかどうか
     this.axesHelper;       // 軸ヘルパー
+    this.raycaster;        // レイキャスター
+    this.isHovering = false; // ポインタがスプライトに乗っているかどうか
+    this.hoverEvent = null;  // 次の描画で調べる最後の pointermove イベント
+
+    this.isDown = false;    // ポインタの押下状態（ペイント中かどうか）を保持するフラグ
+    this.isEditing = false; // 編集モードかどうか
+    this.paintIndex = 0;    // ペイントに使うパレット番号（EMPTY のときは消しゴム）
+    this.history = new History(App3.HISTORY_PARAM.limit); // 編集の操作履歴
+    this.palettePanel = null; // パレットの編集パネル
+    this.container = null;  // キャンバスを追加した要素
+    this.resizeObserver = null; // container の大きさの変化を監視するオブザーバー
+    this.eventController = null; // init で登録したイベントリスナーをまとめて解除するためのコントローラー
+    this.animationFrameId = null; // 予約している次の描画の番号
 
-    this.isDown = false; // キーの押下状態を保持するフラグ
+    this.imageOptions = { ...IMAGE_OPTIONS }; // ドロップされた画像を変換する際のオプション
+    this.asepriteOptions = { ...ASEPRITE_OPTIONS }; // ドロップされた Aseprite のスプライトシートを変換する際のオプション
+    this.voxelizeOptions = { ...VOXELIZE_OPTIONS }; // ドロップされた 3D モデルをボクセル化する際のオプション
 
     // 再帰呼び出しのための this 固定
     this.render = this.render.bind(this);
-
-    // リサイズイベント
-    window.addEventListener('resize', () => {
-      this.renderer.setSize(window.innerWidth, window.innerHeight);
-      this.camera.aspect = window.innerWidth / window.innerHeight;
-      this.camera.updateProjectionMatrix();
-    }, false);
   }
 
   /**
-   * 初期化処理
+   * 初期化処理（初期化済みの場合は破棄してから作り直す）
+   * 同じページに複数の App3 を置く場合は、それぞれに別の要素を渡す
+   * @param {HTMLElement} container - キャンバスとパレットの編集パネルを追加する要素（この要素の大きさに合わせて描画する）
    */
-  init() {
+  init(container) {
+    if (container == null) {
+      throw new Error('App3: キャンバスを追加する要素を指定してください');
+    }
+    if (this.renderer != null) {
+      this.dispose();
+    }
+    this.container = container;
+    const { width, height } = this.getContainerSize();
+
     // レンダラー
     this.renderer = new THREE.WebGLRenderer();
     this.renderer.setClearColor(new THREE.Color(App3.RENDERER_PARAM.clearColor));
-    this.renderer.setSize(App3.RENDERER_PARAM.width, App3.RENDERER_PARAM.height);
-    const wrapper = document.querySelector('#webgl');
-    wrapper.appendChild(this.renderer.domElement);
+    this.renderer.setSize(width, height);
+    container.appendChild(this.renderer.domElement);
+
+    // dispose でまとめて解除できるよう、イベントリスナーには AbortController のシグナルを付けて登録する
+    this.eventController = new AbortController();
+    const { signal } = this.eventController;
+
+    // キーの押下イベント
+    // 最初に初期化したものか、最後にポインタで操作したものだけがキー操作を受け取る
+    if (activeApp == null) {
+      activeApp = this;
+    }
+    container.addEventListener('pointerdown', () => {
+      activeApp = this;
+    }, { capture: true, signal });
+    window.addEventListener('keydown', (event) => {
+      if (activeApp !== this) {
+        return;
+      }
+      // 入力欄の操作中は何もしない
+      if (event.target instanceof HTMLInputElement) {
+        return;
+      }
+      // Ctrl + Z で取り消し、Ctrl + Shift + Z でやり直し
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+        return;
+      }
+      // ブラウザや OS のショートカット（Ctrl + R や Ctrl + P など）と一緒に働かないよう、修飾キー付きの入力は無視する
+      if (event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+      }
+      if (event.key === App3.EDIT_PARAM.toggleKey) {
+        this.setEditMode(!this.isEditing);
+        return;
+      }
+      if (event.key === App3.OUTLINE_PARAM.toggleKey) {
+        this.toggleOutline();
+        return;
+      }
+      if (event.key === App3.EXPLODE_PARAM.toggleKey) {
+        this.toggleExplode();
+        return;
+      }
+      if (event.key === App3.RELIEF_PARAM.toggleKey) {
+        this.toggleRelief();
+        return;
+      }
+      if (event.key === App3.FRAME_ANIMATION_PARAM.playKey) {
+        event.preventDefault();
+        if (this.isFramePlaying) {
+          this.pauseFrames();
+        } else {
+          this.playFrames();
+        }
+        return;
+      }
+      if (event.key === App3.FRAME_ANIMATION_PARAM.prevKey || event.key === App3.FRAME_ANIMATION_PARAM.nextKey) {
+        const step = event.key === App3.FRAME_ANIMATION_PARAM.nextKey ? 1 : -1;
+        const count = this.sprite.frames.length;
+        this.pauseFrames();
+        this.setFrame((this.frameIndex + step + count) % count);
+        return;
+      }
+      if (event.key === App3.ORTHOGRAPHIC_PARAM.toggleKey) {
+        this.setProjection(this.camera.isOrthographicCamera ? 'perspective' : 'orthographic');
+        return;
+      }
+      if (event.key === App3.ORTHOGRAPHIC_PARAM.presetKey) {
+        const names = Object.keys(App3.CAMERA_PRESET_PARAM);
+        this.setCameraPreset(names[(names.indexOf(this.cameraPreset) + 1) % names.length]);
+        return;
+      }
+      // 編集モード中は数字キーでペイントする色を選ぶ（1 がパレットの先頭、0 は消しゴム）
+      if (this.isEditing && /^[0-9]$/.test(event.key)) {
+        const index = event.key === '0' ? EMPTY : Number(event.key) - 1;
+        if (index < this.sprite.palette.length) {
+          this.setPaintIndex(index);
+        }
+      }
+    }, { signal });
+
+    // 画像や .vox、JSON ファイル（Aseprite の JSON はシートの画像と一緒に）、3D モデルがドロップされたらスプライトに変換して差し替える
+    container.addEventListener('dragover', (event) => {
+      event.preventDefault();
+    }, { signal });
+    container.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const files = [...event.dataTransfer.files];
+      if (files.length === 0) {
+        return;
+      }
+      this.loadFiles(files).catch((error) => console.error(error));
+    }, { signal });
+
+    // 編集モードでのペイント
+    // OrbitControls より先に処理できるよう、コンテナ要素のキャプチャフェーズで受け取る
+    container.addEventListener('pointerdown', (event) => {
+      // キャンバス以外（パレットの編集パネルなど）の操作は対象外
+      if (!this.isEditing || event.button !== 0 || event.target !== this.renderer.domElement) {
+        return;
+      }
+      // 修飾キーが押されていればカメラの操作として扱う
+      if (event[App3.EDIT_PARAM.orbitKey]) {
+        return;
+      }
+      // 修飾キーが押されていればクリックした位置から塗りつぶす
+      if (event[App3.EDIT_PARAM.fillKey]) {
+        const cell = this.pickCell(event, true);
+        if (cell != null) {
+          this.fill(cell.col, cell.row, cell.layer, this.paintIndex);
+        }
+        // OrbitControls にパンとして扱われないようにする
+        event.stopPropagation();
+        return;
+      }
+      this.isDown = true;
+      this.controls.enabled = false;
+      this.renderer.domElement.setPointerCapture(event.pointerId);
+      // ドラッグ中のペイントは 1 つの操作として履歴に残す
+      this.history.begin(this.paintIndex === EMPTY ? 'erase' : 'paint');
+      this.paintAt(event);
+    }, { capture: true, signal });
+    container.addEventListener('pointermove', (event) => {
+      if (this.isDown) {
+        this.paintAt(event);
+      }
+    }, { capture: true, signal });
+    const endPaint = (event) => {
+      if (!this.isDown) {
+        return;
+      }
+      this.isDown = false;
+      this.controls.enabled = true;
+      this.renderer.domElement.releasePointerCapture(event.pointerId);
+      this.history.end();
+    };
+    container.addEventListener('pointerup', endPaint, { capture: true, signal });
+    container.addEventListener('pointercancel', endPaint, { capture: true, signal });
+
+    // スプライトにポインタが乗ったときやクリックしたときにグリッチを起こす
+    const downPosition = new THREE.Vector2();
+    this.renderer.domElement.addEventListener('pointermove', (event) => {
+      if (App3.GLITCH_PARAM.hover == null || this.isEditing || event.buttons !== 0) {
+        return;
+      }
+      // レイキャストは描画ごとに 1 回だけ行う
+      this.hoverEvent = event;
+    }, { signal });
+    this.renderer.domElement.addEventListener('pointerleave', () => {
+      this.hoverEvent = null;
+      this.isHovering = false;
+    }, { signal });
+    this.renderer.domElement.addEventListener('pointerdown', (event) => {
+      downPosition.set(event.clientX, event.clientY);
+    }, { signal });
+    this.renderer.domElement.addEventListener('click', (event) => {
+      const click = App3.GLITCH_PARAM.click;
+      if (click == null || this.isEditing) {
+        return;
+      }
+      // カメラを回転させたドラッグはクリックとして扱わない
+      if (Math.hypot(event.clientX - downPosition.x, event.clientY - downPosition.y) > App3.GLITCH_PARAM.clickTolerance) {
+        return;
+      }
+      if (this.pickCell(event) != null) {
+        this.glitch(click.duration, click.intensity);
+      }
+    }, { signal });
 
     // シーン
     this.scene = new THREE.Scene();
 
     // カメラ
-    this.camera = new THREE.PerspectiveCamera(
+    this.perspectiveCamera = new THREE.PerspectiveCamera(
       App3.CAMERA_PARAM.fovy,
-      App3.CAMERA_PARAM.aspect,
+      width / height,
       App3.CAMERA_PARAM.near,
       App3.CAMERA_PARAM.far,
     );
-    this.camera.position.set(
+    this.perspectiveCamera.position.set(
       App3.CAMERA_PARAM.x,
       App3.CAMERA_PARAM.y,
       App3.CAMERA_PARAM.z,
     );
-    this.camera.lookAt(App3.CAMERA_PARAM.lookAt);
+    this.perspectiveCamera.lookAt(App3.CAMERA_PARAM.lookAt);
+    this.camera = this.perspectiveCamera;
+
+    // 平行投影カメラ（視錐台の大きさは updateOrthographicFrustum で決める）
+    this.orthographicCamera = new THREE.OrthographicCamera(
+      -1.0, 1.0, 1.0, -1.0,
+      App3.CAMERA_PARAM.near,
+      App3.CAMERA_PARAM.far,
+    );
+    this.updateOrthographicFrustum();
 
     // ディレクショナルライト（平行光源）
     this.directionalLight = new THREE.DirectionalLight(
@@ -164,771 +661,2065 @@ class App3 {
     this.scene.add(this.ambientLight);
 
 
-    // マテリアル
-    const BOX_ROW = 25;
-    const BOX_COL = 20;
-    const BOX_SIZE = 1.0;
-    const gridWidth = BOX_ROW * BOX_SIZE;
-    const gridHeight = BOX_COL * BOX_SIZE;
-    const offsetX = -gridWidth / 2;
-    const offsetY = -gridHeight / 2;
-
-    this.boxGeometry = new THREE.BoxGeometry(BOX_SIZE, BOX_SIZE, BOX_SIZE);
-    for (let row = 1; row < BOX_COL; row++) {
-      for (let col = 1; col < BOX_ROW; col++) {
-        this.material = new THREE.MeshPhongMaterial(App3.MATERIAL_PARAM);
-        this.box = new THREE.Mesh(this.boxGeometry, this.material);
-        // 0x000000
-        if( col === 5 && row === 1 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 13 && row === 1 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 6 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 12 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 14 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 7 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 12 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 14 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 7 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 11 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 14 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 8 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 11 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 15 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 8 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 10 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 15 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 9 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 15 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 15 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 6 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 16 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 17 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 18 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 19 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 20 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 10 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 21 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 21 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 15 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 22 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 4 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 14 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 16 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 22 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 5 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 6 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 7 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 13 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 16 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 19 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 22 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 8 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 14 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 17 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 18 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 20 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
-        if( col === 21 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x000000);
-        }
+    // ボックス
+    this.boxGeometry = new THREE.BoxGeometry(this.cellSize, this.cellSize, this.cellSize);
+    this.material = new THREE.MeshPhongMaterial(App3.MATERIAL_PARAM);
+    this.createBoxes();
 
+    // 輪郭線
+    this.outline = new THREE.LineSegments(
+      createOutlineEdges(this.sprite, this.cellSize, this.isOutlineSilhouette, this.cellGap),
+      new THREE.LineBasicMaterial(App3.LINE_MATERIAL_PARAM),
+    );
+    this.scene.add(this.outline);
 
-        // 0x69889d
-        if( col === 5 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 5 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 6 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 5 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 6 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 6 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 7 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 7 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 7 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 8 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 15 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 10 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 16 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
-        if( col === 11 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x69889d);
-        }
+    // パレットの編集パネル
+    this.palettePanel = new PalettePanel(this, container);
 
-        // 0x6eb2dd
-        if( col === 13 && row === 2 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 3 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 12 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 4 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 12 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 7 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 15 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 6 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 12 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 5 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 6 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 9 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 12 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 5 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 6 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 9 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 6 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 9 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 15 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 13 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 14 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 9 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 11 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 12 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 8 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 9 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
-        }
-        if( col === 10 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x6eb2dd);
+    // コントロール
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+    this.controls.target.copy(App3.CAMERA_PARAM.lookAt);
+    this.controls.enableDamping = App3.CONTROLS_PARAM.enableDamping;
+    if (App3.FIT_PARAM.auto) {
+      this.fitCamera();
+    }
+
+    // レイキャスター
+    this.raycaster = new THREE.Raycaster();
+
+    // ポストプロセス
+    // マスク用のパスが使えるようステンシルバッファを持ったレンダーターゲットを用意する
+    const renderTarget = new THREE.WebGLRenderTarget(
+      width,
+      height,
+      { type: THREE.HalfFloatType, stencilBuffer: true },
+    );
+    this.composer = new EffectComposer(this.renderer, renderTarget);
+    this.renderPass = new RenderPass(this.scene, this.camera);
+    this.composer.addPass(this.renderPass);
+    App3.POST_PROCESS_PARAM.passes.forEach((param) => {
+      this.addPass(param.name, this.createPass(param));
+    });
+
+    // リサイズ
+    // ウィンドウではなく要素の大きさを監視するので、レイアウトの変化で要素だけが伸び縮みした場合にも合わせられる
+    this.resizeObserver = new ResizeObserver(() => this.updateSize());
+    this.resizeObserver.observe(container);
+
+    // ヘルパー
+    // const axesBarLength = 5.0;
+    // this.axesHelper = new THREE.AxesHelper(axesBarLength);
+    // this.scene.add(this.axesHelper);
+  }
+
+  /**
+   * 描画のループを止め、init で生成したリソースとイベントリスナー、キャンバスを破棄する
+   * スプライトや操作履歴は残るので、もう一度 init と render を呼ぶと表示し直せる
+   */
+  dispose() {
+    if (this.renderer == null) {
+      return;
+    }
+    cancelAnimationFrame(this.animationFrameId);
+    this.animationFrameId = null;
+    this.clock.stop();
+    this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+    this.eventController.abort();
+    this.eventController = null;
+    if (activeApp === this) {
+      activeApp = null;
+    }
+
+    // 途中の操作やアニメーションは、作り直したボックスに持ち越さないよう終わらせておく
+    if (this.isDown) {
+      this.isDown = false;
+      this.history.end();
+    }
+    this.hoverEvent = null;
+    this.isHovering = false;
+    this.finishCameraTransition();
+    this.finishFrameTween();
+    this.resetExplode();
+    this.unbake();
+
+    this.controls.dispose();
+    this.composer.passes.forEach((pass) => pass.dispose());
+    this.composer.dispose();
+    this.outline.geometry.dispose();
+    this.outline.material.dispose();
+    this.boxes.dispose();
+    this.boxGeometry.dispose();
+    this.material.dispose();
+    this.palettePanel.element.remove();
+    this.renderer.dispose();
+    // ブラウザが同時に持てる WebGL のコンテキストの数には上限があるので、ガベージコレクションを待たずに手放す
+    this.renderer.forceContextLoss();
+    this.renderer.domElement.remove();
+
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.perspectiveCamera = null;
+    this.orthographicCamera = null;
+    this.directionalLight = null;
+    this.ambientLight = null;
+    this.material = null;
+    this.boxGeometry = null;
+    this.boxes = null;
+    this.outline = null;
+    this.palettePanel = null;
+    this.controls = null;
+    this.raycaster = null;
+    this.composer = null;
+    this.renderPass = null;
+    this.container = null;
+  }
+
+  /**
+   * 描画する領域の大きさ（container の大きさ）を返す
+   * @return {{width: number, height: number}}
+   */
+  getContainerSize() {
+    return {
+      width: Math.max(1, this.container.clientWidth),
+      height: Math.max(1, this.container.clientHeight),
+    };
+  }
+
+  /**
+   * レンダラーとカメラ、ポストプロセスを container の大きさに合わせる
+   */
+  updateSize() {
+    const { width, height } = this.getContainerSize();
+    this.renderer.setSize(width, height);
+    this.perspectiveCamera.aspect = width / height;
+    this.perspectiveCamera.updateProjectionMatrix();
+    this.updateOrthographicFrustum();
+    this.composer.setSize(width, height);
+    if (App3.FIT_PARAM.auto) {
+      this.fitCamera();
+    }
+  }
+
+  /**
+   * dispose したうえで、スプライトや操作履歴、onUpdate で登録された関数も手放す（以後このインスタンスは使えない）
+   */
+  destroy() {
+    this.dispose();
+    this.history.clear();
+    this.updateCallbacks.clear();
+    this.sprite = null;
+  }
+
+  /**
+   * スプライトのセルごとにインスタンスを割り当てたメッシュを生成する
+   * 空のセルは大きさ 0 のインスタンスとして保持しておき、後から色や位置を変更できるようにする
+   */
+  createBoxes() {
+    this.boxes = new THREE.InstancedMesh(
+      this.boxGeometry,
+      this.material,
+      this.sprite.width * this.sprite.height * this.sprite.depth,
+    );
+    // 作り直したボックスは変化させずに目標の高さにする
+    this.reliefDepths = new Float32Array(this.boxes.count);
+    this.reliefOffsets = new Float32Array(this.boxes.count);
+    this.reliefAnimation = null;
+    this.isReliefLevelDirty = true;
+    const paletteReliefs = this.getPaletteReliefs();
+    for (let layer = 0; layer < this.sprite.depth; layer++) {
+      for (let row = 0; row < this.sprite.height; row++) {
+        for (let col = 0; col < this.sprite.width; col++) {
+          const index = this.sprite.layers[layer][row][col];
+          const id = this.getCellInstanceId(col, row, layer);
+          const relief = this.getCellRelief(col, row, layer, paletteReliefs);
+          this.reliefDepths[id] = relief.depth;
+          this.reliefOffsets[id] = relief.offset;
+          this.getCellHomePosition(col, row, layer, _position);
+          this.setCellPosition(col, row, layer, _position.x, _position.y, _position.z);
+          // 空のセルは黒で初期化しておく（instanceColor を確保するため必ず一度は設定する）
+          this.setCellColor(col, row, layer, index === EMPTY ? 0x000000 : this.sprite.palette[index]);
         }
+      }
+    }
+    this.scene.add(this.boxes);
+  }
 
-        // 0x424040
-        if( col === 5 && row === 5 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 5 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 6 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 12 && row === 6 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 6 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 10 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 12 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 6 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 7 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 8 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 12 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 13 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 11 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 13 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 13 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 16 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 16 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 12 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 13 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 17 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 11 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 17 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 17 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 6 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 16 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 18 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 18 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 5 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 13 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 18 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 12 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x424040);
-        }
-        if( col === 9 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x424040);
+  /**
+   * スプライトを差し替えてボックスを作り直す（操作履歴は消える）
+   * @param {object} sprite - palette と cells（または layers）を持つオブジェクト
+   */
+  setSprite(sprite) {
+    this.history.clear();
+    // 新しいスプライトは先頭のフレームから再生する
+    this.frameIndex = 0;
+    this.frameTime = 0.0;
+    this.frameDirection = 1;
+    this.frameTag = null;
+    this.frameMode = App3.FRAME_ANIMATION_PARAM.mode;
+    this.isFramePlaying = App3.FRAME_ANIMATION_PARAM.autoplay;
+    this.applySprite(sprite);
+  }
+
+  /**
+   * スプライトを差し替えてボックスを作り直す（操作履歴はそのまま）
+   * @param {object} sprite - palette と cells（または layers）を持つオブジェクト
+   */
+  applySprite(sprite) {
+    const bakeOptions = this.bakeOptions;
+    this.unbake();
+    this.finishFrameTween();
+    const previousPalette = this.sprite.palette;
+    this.sprite = createSprite(sprite);
+    // パレット番号ごとのレリーフは元のパレットの色に対する指定なので、パレットが変わったら解除する
+    const { palette } = this.sprite;
+    if (palette.length !== previousPalette.length || palette.some((color, index) => color !== previousPalette[index])) {
+      this.paletteReliefs = [];
+    }
+    // 表示していたフレームを引き続き表示する
+    this.frameIndex = Math.min(this.frameIndex, this.sprite.frames.length - 1);
+    this.sprite.layers = this.sprite.frames[this.frameIndex].layers;
+    // 大きさの違うスプライトには高さマップを当てはめられないので解除する
+    if (this.reliefMap != null && (this.reliefMap.length !== this.sprite.height || this.reliefMap[0].length !== this.sprite.width)) {
+      this.reliefMap = null;
+    }
+    this.scene.remove(this.boxes);
+    this.boxes.dispose();
+    this.createBoxes();
+    this.isOutlineDirty = true;
+    // 作り直したボックスは元の位置にあるので、飛び散った状態は捨てる
+    this.resetExplode();
+    // 選択中の色が新しいパレットにない場合は先頭の色にする
+    if (this.paintIndex >= this.sprite.palette.length) {
+      this.paintIndex = 0;
+    }
+    this.updatePalettePanel();
+    this.updatePassPalettes();
+    if (App3.FIT_PARAM.auto) {
+      this.fitCamera();
+    }
+    // bake していた場合は新しいスプライトで作り直す
+    if (bakeOptions != null) {
+      this.bake(bakeOptions);
+    }
+  }
+
+  /**
+   * 同じ色のボックスを 1 つのジオメトリにまとめた静的なメッシュに切り替える（色ごとに 1 回の描画で済む）
+   * greedy を指定すると、同じ色の面を大きな四角形にまとめた 1 つのメッシュにする
+   * bake している間は setCellColor などによるセルごとの変更は表示に反映されない（レリーフはその時点の高さでまとめる）
+   * @param {object} [options]
+   * @param {boolean} [options.greedy] - greedy meshing で三角形の数を減らすかどうか（ボックスの間に隙間があるときやレリーフ表示中は面をつなげられないので使わない）
+   */
+  bake({ greedy = false } = {}) {
+    this.unbake();
+    this.bakedMeshes = new THREE.Group();
+    const relief = this.getReliefFunction();
+    if (greedy && (this.cellGap > 0 || relief != null)) {
+      console.warn('App3: ボックスの間に隙間があるときやレリーフ表示中は greedy meshing を使えないので、色ごとにまとめます');
+    }
+    if (greedy && this.cellGap === 0 && relief == null) {
+      const geometry = greedyMesh(this.sprite, this.cellSize);
+      const material = new THREE.MeshPhongMaterial({ ...App3.MATERIAL_PARAM, vertexColors: true });
+      this.bakedMeshes.add(new THREE.Mesh(geometry, material));
+
+      this.quadWireframe = new THREE.LineSegments(
+        createQuadEdges(geometry),
+        new THREE.LineBasicMaterial(App3.QUAD_WIREFRAME_PARAM),
+      );
+      this.quadWireframe.visible = this.isQuadWireframeVisible;
+      this.bakedMeshes.add(this.quadWireframe);
+    } else {
+      bakeSprite(this.sprite, this.cellSize, this.cellGap, relief).forEach((geometry, index) => {
+        if (geometry == null) {
+          return;
+        }
+        const material = new THREE.MeshPhongMaterial(App3.MATERIAL_PARAM);
+        material.color.set(this.sprite.palette[index]);
+        this.bakedMeshes.add(new THREE.Mesh(geometry, material));
+      });
+    }
+    this.scene.add(this.bakedMeshes);
+    this.bakeOptions = { greedy };
+    this.isBakeDirty = false;
+    this.boxes.visible = false;
+  }
+
+  /**
+   * bake した後にセルが変更されたことを記録し、次の描画の前に作り直す
+   */
+  invalidateBake() {
+    if (this.bakeOptions != null) {
+      this.isBakeDirty = true;
+    }
+  }
+
+  /**
+   * greedy meshing の四角形の輪郭の表示を切り替える（デバッグ用）
+   * @param {boolean} visible - 表示するかどうか
+   */
+  setQuadWireframeVisible(visible) {
+    this.isQuadWireframeVisible = visible;
+    if (this.quadWireframe != null) {
+      this.quadWireframe.visible = visible;
+    }
+  }
+
+  /**
+   * 輪郭線を形の輪郭だけにするか、すべてのセルの境目に引くかを切り替える
+   * @param {boolean} silhouette - 形の輪郭だけにするかどうか
+   */
+  setOutlineSilhouette(silhouette) {
+    this.isOutlineSilhouette = silhouette;
+    this.isOutlineDirty = true;
+  }
+
+  /**
+   * 輪郭線の不透明度をフェードしながら変える
+   * @param {number} opacity - 目標の不透明度（0 のときは非表示）
+   * @param {number} [duration] - フェードにかける時間（秒）
+   */
+  fadeOutline(opacity, duration = App3.OUTLINE_PARAM.fadeDuration) {
+    this.outlineFade = {
+      from: this.outlineOpacity,
+      to: opacity,
+      start: this.realTime,
+      duration,
+    };
+  }
+
+  /**
+   * 輪郭線の表示をフェードで切り替える
+   */
+  toggleOutline() {
+    const target = this.outlineFade != null ? this.outlineFade.to : this.outlineOpacity;
+    this.fadeOutline(target > 0.0 ? 0.0 : App3.OUTLINE_PARAM.opacity);
+  }
+
+  /**
+   * 輪郭線のフェードと、カメラとの距離による不透明度を更新する
+   */
+  updateOutline() {
+    if (this.outlineFade != null) {
+      const { from, to, start, duration } = this.outlineFade;
+      const t = duration > 0 ? Math.min((this.realTime - start) / duration, 1.0) : 1.0;
+      this.outlineOpacity = THREE.MathUtils.lerp(from, to, t);
+      if (t >= 1.0) {
+        this.outlineFade = null;
+      }
+    }
+
+    // 遠くから見たときは線が詰まって見づらいので、画面上のセルの大きさに応じて薄くする
+    // 輪郭線は元の位置に引いているので、ボックスが飛び散っている間やレリーフ表示で押し出している間も薄くする
+    if (this.isReliefLevelDirty) {
+      this.updateReliefLevel();
+    }
+    let opacity = this.outlineOpacity * (1.0 - this.explodeLevel) * (1.0 - this.reliefLevel);
+    const { fadeStart, fadeEnd } = App3.OUTLINE_PARAM;
+    if (fadeEnd != null) {
+      const cellPixels = this.renderer.getSize(_size).y * this.getCellPitch() / this.getViewHeight();
+      opacity *= THREE.MathUtils.smoothstep(cellPixels, fadeEnd, fadeStart);
+    }
+    this.outline.material.opacity = opacity;
+    this.outline.visible = opacity > 0.0;
+
+    // 見えている間だけ、変更されたセルに合わせて作り直す
+    if (this.outline.visible && this.isOutlineDirty) {
+      this.outline.geometry.dispose();
+      this.outline.geometry = createOutlineEdges(this.sprite, this.cellSize, this.isOutlineSilhouette, this.cellGap);
+      this.isOutlineDirty = false;
+    }
+  }
+
+  /**
+   * bake したメッシュを破棄して、セルごとに変更できるインスタンスメッシュの表示に戻す
+   */
+  unbake() {
+    if (this.bakedMeshes == null) {
+      return;
+    }
+    this.bakedMeshes.children.forEach((mesh) => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.scene.remove(this.bakedMeshes);
+    this.bakedMeshes = null;
+    this.bakeOptions = null;
+    this.isBakeDirty = false;
+    this.quadWireframe = null;
+    this.boxes.visible = true;
+  }
+
+  /**
+   * ファイルを読み込んでスプライトを差し替える
+   * @param {File} file - 画像ファイル、.vox ファイル、スプライトの JSON ファイル、または 3D モデル（.glb、.gltf、.obj）
+   * @return {Promise<void>}
+   */
+  async loadFile(file) {
+    const name = file.name.toLowerCase();
+    if (MODEL_EXTENSIONS.some((extension) => name.endsWith(extension))) {
+      this.setSprite(await loadModelSprite(file, this.voxelizeOptions));
+    } else if (name.endsWith('.vox')) {
+      this.setSprite(parseVox(await file.arrayBuffer()));
+    } else if (name.endsWith('.json')) {
+      const data = JSON.parse(await file.text());
+      if (data.meta != null && data.frames != null) {
+        throw new Error('App3: Aseprite の JSON はスプライトシートの画像と一緒に読み込んでください');
+      }
+      this.setSprite(data);
+    } else if (file.type.startsWith('image/')) {
+      this.setSprite(await loadImageSprite(file, this.imageOptions));
+    }
+  }
+
+  /**
+   * 複数のファイルを読み込んでスプライトを差し替える
+   * Aseprite の JSON とスプライトシートの画像が含まれていれば、フレームとタグを持つスプライトに変換する
+   * それ以外の場合は先頭のファイルを loadFile で読み込む
+   * @param {File[]} files - 読み込むファイル
+   * @return {Promise<void>}
+   */
+  async loadFiles(files) {
+    const json = files.find((file) => file.name.toLowerCase().endsWith('.json'));
+    const images = files.filter((file) => file.type.startsWith('image/'));
+    if (json != null && images.length > 0) {
+      const data = JSON.parse(await json.text());
+      if (data.meta != null && data.frames != null) {
+        // JSON に書かれたシートの画像のファイル名と同じものを優先する
+        const sheetName = String(data.meta.image ?? '').split(/[\\/]/).pop();
+        const image = images.find((file) => file.name === sheetName) ?? images[0];
+        this.setSprite(await loadAsepriteSprite(data, image, this.asepriteOptions));
+        return;
+      }
+    }
+    if (files.length > 0) {
+      await this.loadFile(files[0]);
+    }
+  }
+
+  /**
+   * 現在のスプライトを .vox ファイルとして保存する
+   * @param {string} [filename] - 保存するファイル名
+   */
+  saveVox(filename = 'sprite.vox') {
+    const blob = new Blob([writeVox(this.sprite)], { type: 'application/octet-stream' });
+    downloadBlob(blob, filename);
+  }
+
+  /**
+   * 現在のスプライトを glTF / GLB ファイルとして保存する（レリーフ表示中はその時点の高さで書き出す）
+   * @param {string} [filename] - 保存するファイル名（拡張子が .gltf のときは JSON 形式で書き出す）
+   * @param {object} [options] - exportGLTF に渡すオプション（merge など）
+   * @return {Promise<void>}
+   */
+  async saveGLTF(filename = 'sprite.glb', options = {}) {
+    const binary = !filename.toLowerCase().endsWith('.gltf');
+    const result = await exportGLTF(this.sprite, {
+      size: this.cellSize,
+      gap: this.cellGap,
+      relief: this.getReliefFunction(),
+      ...options,
+      binary,
+    });
+    const blob = binary
+      ? new Blob([result], { type: 'model/gltf-binary' })
+      : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+    downloadBlob(blob, filename);
+  }
+
+  /**
+   * パスの定義からパスを生成する
+   * @param {object} param - type と enabled、種類ごとのパラメータを持つオブジェクト
+   * @return {Pass}
+   */
+  createPass(param) {
+    let pass;
+    switch (param.type) {
+      case 'glitch':
+        pass = new ControllableGlitchPass({ seed: param.seed, auto: param.auto });
+        break;
+      case 'dotScreen':
+        pass = new DotScreenPass(undefined, param.angle, param.scale);
+        break;
+      case 'pixelate':
+        pass = new PixelatePass({
+          pixelSize: param.pixelSize,
+          palette: this.getQuantizePalette(),
+          quantize: param.quantize,
+          dither: param.dither,
+        });
+        break;
+      case 'mask':
+        pass = new MaskPass(this.scene, this.camera);
+        break;
+      case 'clearMask':
+        pass = new ClearMaskPass();
+        break;
+      default:
+        throw new Error(`App3: 未知のパスの種類です（${param.type}）`);
+    }
+    pass.enabled = param.enabled ?? true;
+    return pass;
+  }
+
+  /**
+   * ポストプロセスのパスを追加する
+   * @param {string} name - パスの名前（removePass などで指定する）
+   * @param {Pass} pass - 追加するパス
+   * @param {number} [index] - レンダーパスの後に何番目に適用するか（省略時は最後）
+   */
+  addPass(name, pass, index) {
+    if (this.getPass(name) != null) {
+      throw new Error(`App3: 同じ名前のパスがすでにあります（${name}）`);
+    }
+    pass.name = name;
+    const effectPasses = this.composer.passes.length - 1;
+    const position = index == null ? effectPasses : THREE.MathUtils.clamp(index, 0, effectPasses);
+    this.composer.insertPass(pass, position + 1);
+  }
+
+  /**
+   * ポストプロセスのパスを取り除いて破棄する
+   * @param {string} name - パスの名前
+   */
+  removePass(name) {
+    const pass = this.getPass(name);
+    if (pass == null) {
+      return;
+    }
+    this.composer.removePass(pass);
+    pass.dispose();
+  }
+
+  /**
+   * ポストプロセスのパスを適用する順番を変える
+   * @param {string} name - パスの名前
+   * @param {number} index - レンダーパスの後に何番目に適用するか
+   */
+  movePass(name, index) {
+    const pass = this.getPass(name);
+    if (pass == null) {
+      return;
+    }
+    this.composer.removePass(pass);
+    const effectPasses = this.composer.passes.length - 1;
+    this.composer.insertPass(pass, THREE.MathUtils.clamp(index, 0, effectPasses) + 1);
+  }
+
+  /**
+   * ポストプロセスのパスの有効・無効を切り替える
+   * @param {string} name - パスの名前
+   * @param {boolean} enabled - 有効にするかどうか
+   */
+  setPassEnabled(name, enabled) {
+    const pass = this.getPass(name);
+    if (pass != null) {
+      pass.enabled = enabled;
+      // グリッチの間だけ有効にしていたパスは、明示的に切り替えたあとはその状態を保つ
+      if (pass instanceof ControllableGlitchPass) {
+        pass.disableAfterBurst = false;
+      }
+    }
+  }
+
+  /**
+   * 名前を指定してポストプロセスのパスを取得する
+   * @param {string} name - パスの名前
+   * @return {Pass|undefined}
+   */
+  getPass(name) {
+    return this.composer.passes.find((pass) => pass !== this.renderPass && pass.name === name);
+  }
+
+  /**
+   * 減色するパスで使うパレット（スプライトのパレットに背景色を加えたもの）
+   * @return {Array<string|number>}
+   */
+  getQuantizePalette() {
+    return [...this.sprite.palette, App3.RENDERER_PARAM.clearColor];
+  }
+
+  /**
+   * 減色するパスのパレットをスプライトのパレットに合わせる
+   */
+  updatePassPalettes() {
+    const palette = this.getQuantizePalette();
+    this.composer.passes.forEach((pass) => {
+      if (pass instanceof PixelatePass) {
+        pass.setPalette(palette);
+      }
+    });
+  }
+
+  /**
+   * グリッチを起こす
+   * 対象のパスが無効になっている場合は、グリッチの間だけ有効にする
+   * @param {number} duration - 長さ（秒）
+   * @param {number} [intensity] - 強さ（1.0 で大きなグリッチ）
+   * @param {string} [name] - グリッチを起こすパスの名前
+   */
+  glitch(duration, intensity = 1.0, name = App3.GLITCH_PARAM.pass) {
+    const pass = this.getPass(name);
+    if (!(pass instanceof ControllableGlitchPass)) {
+      return;
+    }
+    pass.trigger(duration, intensity);
+  }
+
+  /**
+   * 最後の pointermove の位置でポインタがスプライトに乗ったかを調べ、乗ったときにグリッチを起こす
+   */
+  updateHover() {
+    const event = this.hoverEvent;
+    const hover = App3.GLITCH_PARAM.hover;
+    if (event == null || hover == null) {
+      return;
+    }
+    this.hoverEvent = null;
+    // 大きなスプライトでもすべてのインスタンスとの交差を調べずに済むよう、層ごとの平面との交点で判定する
+    this.setPointerRay(event);
+    const isHovering = this.pickGridCell(this.raycaster.ray, true) != null;
+    if (isHovering && !this.isHovering) {
+      this.glitch(hover.duration, hover.intensity);
+    }
+    this.isHovering = isHovering;
+  }
+
+  /**
+   * グリッチの乱数のシードを設定する（同じシードであれば同じ乱れ方を再現できる）
+   * @param {number|null} seed - 乱数のシード（null のときは Math.random を使う）
+   * @param {string} [name] - 対象のパスの名前
+   */
+  setGlitchSeed(seed, name = App3.GLITCH_PARAM.pass) {
+    const pass = this.getPass(name);
+    if (pass instanceof ControllableGlitchPass) {
+      pass.setSeed(seed);
+    }
+  }
+
+  /**
+   * 平行投影カメラの視錐台を画面の縦横比に合わせる
+   */
+  updateOrthographicFrustum() {
+    const halfHeight = App3.ORTHOGRAPHIC_PARAM.height / 2;
+    const halfWidth = halfHeight * this.perspectiveCamera.aspect;
+    this.orthographicCamera.left = -halfWidth;
+    this.orthographicCamera.right = halfWidth;
+    this.orthographicCamera.top = halfHeight;
+    this.orthographicCamera.bottom = -halfHeight;
+    this.orthographicCamera.updateProjectionMatrix();
+  }
+
+  /**
+   * 注視点の位置で縦方向に写っている範囲
+   * @return {number}
+   */
+  getViewHeight() {
+    if (this.camera.isOrthographicCamera) {
+      return (this.camera.top - this.camera.bottom) / this.camera.zoom;
+    }
+    const distance = this.camera.position.distanceTo(this.controls.target);
+    return 2.0 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+  }
+
+  /**
+   * カメラから注視点までの距離（平行投影のときは同じ範囲が写る透視投影カメラの距離）
+   * @return {number}
+   */
+  getViewDistance() {
+    if (this.camera.isOrthographicCamera) {
+      return this.getViewHeight() / (2.0 * Math.tan(THREE.MathUtils.degToRad(App3.CAMERA_PARAM.fovy / 2)));
+    }
+    return this.camera.position.distanceTo(this.controls.target);
+  }
+
+  /**
+   * 空でないセルを囲む範囲を求める（すべて空のときはグリッド全体）
+   * @param {THREE.Box3} target - 結果を格納するボックス
+   * @return {THREE.Box3}
+   */
+  getSpriteBounds(target) {
+    const { width, height, depth, layers } = this.sprite;
+    const half = this.cellSize / 2;
+    target.makeEmpty();
+    for (let layer = 0; layer < depth; layer++) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          if (layers[layer][row][col] !== EMPTY) {
+            // レリーフ表示で押し出したボックスは z 方向に長い
+            const reliefDepth = this.reliefDepths?.[this.getCellInstanceId(col, row, layer)] ?? 1.0;
+            this.getCellHomePosition(col, row, layer, _position);
+            _target.set(half, half, half * reliefDepth);
+            target.expandByPoint(_position.add(_target));
+            target.expandByPoint(_position.sub(_target).sub(_target));
+          }
         }
-        if( col === 10 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x424040);
+      }
+    }
+    if (target.isEmpty()) {
+      target.setFromPoints([
+        this.getCellHomePosition(0, 0, 0, new THREE.Vector3()),
+        this.getCellHomePosition(width - 1, height - 1, depth - 1, new THREE.Vector3()),
+      ]).expandByScalar(half);
+    }
+    return target;
+  }
+
+  /**
+   * 今の向きのまま、スプライト全体が画面に収まるようにカメラの位置とズーム、注視点、クリップ面を合わせる
+   */
+  fitCamera() {
+    this.finishCameraTransition();
+    const bounds = this.getSpriteBounds(new THREE.Box3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const radius = bounds.getSize(new THREE.Vector3()).length() / 2;
+
+    // 注視点から見たカメラの向きを基準に、画面の横・縦・奥行きの軸を求める
+    const direction = this.camera.position.clone().sub(this.controls.target);
+    if (direction.lengthSq() === 0) {
+      direction.set(0.0, 0.0, 1.0);
+    }
+    direction.normalize();
+    _matrix.lookAt(direction, new THREE.Vector3(), this.camera.up);
+    const right = new THREE.Vector3().setFromMatrixColumn(_matrix, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(_matrix, 1);
+
+    // ボックスの角がすべて視野に収まる距離と、平行投影で写す範囲を求める
+    const { padding } = App3.FIT_PARAM;
+    const aspect = this.perspectiveCamera.aspect;
+    const tanY = Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2)) / padding;
+    const tanX = tanY * aspect;
+    let distance = 0.0;
+    let halfWidth = 0.0;
+    let halfHeight = 0.0;
+    for (let i = 0; i < 8; i++) {
+      _position.set(
+        i & 1 ? bounds.max.x : bounds.min.x,
+        i & 2 ? bounds.max.y : bounds.min.y,
+        i & 4 ? bounds.max.z : bounds.min.z,
+      ).sub(center);
+      const x = Math.abs(_position.dot(right));
+      const y = Math.abs(_position.dot(up));
+      const z = _position.dot(direction);
+      distance = Math.max(distance, x / tanX + z, y / tanY + z);
+      halfWidth = Math.max(halfWidth, x);
+      halfHeight = Math.max(halfHeight, y);
+    }
+    const viewHeight = Math.max(halfHeight, halfWidth / aspect) * 2.0 * padding;
+
+    // スプライトの大きさに合わせてクリップ面を決める（コントロールで遠ざけられるのは 3 倍の距離まで）
+    this.cameraFar = (distance + radius) * 4.0;
+    const near = Math.max(radius * 0.01, 0.01);
+    this.controls.maxDistance = distance * 3.0;
+    this.controls.target.copy(center);
+
+    [this.perspectiveCamera, this.orthographicCamera].forEach((camera) => {
+      camera.near = near;
+      camera.far = this.cameraFar;
+      camera.position.copy(center).addScaledVector(direction, distance);
+      camera.lookAt(center);
+    });
+    this.orthographicCamera.zoom = App3.ORTHOGRAPHIC_PARAM.height / viewHeight;
+    this.perspectiveCamera.updateProjectionMatrix();
+    this.orthographicCamera.updateProjectionMatrix();
+    this.controls.update();
+  }
+
+  /**
+   * 描画に使うカメラを切り替え、コントロールやパスが参照するカメラも差し替える
+   * @param {THREE.Camera} camera - 新しいカメラ
+   */
+  setActiveCamera(camera) {
+    this.camera = camera;
+    this.controls.object = camera;
+    this.composer.passes.forEach((pass) => {
+      // RenderPass と MaskPass はカメラを持っている
+      if (pass.camera != null) {
+        pass.camera = camera;
+      }
+    });
+    this.controls.update();
+  }
+
+  /**
+   * 透視投影と平行投影を切り替える
+   * 透視投影の視野角を狭めながらカメラを遠ざけることで、写る範囲を保ったまま滑らかに切り替える
+   * @param {string} projection - 'perspective' または 'orthographic'
+   * @param {number} [duration] - アニメーションの時間（秒）
+   */
+  setProjection(projection, duration = App3.ORTHOGRAPHIC_PARAM.duration) {
+    const isOrthographic = projection === 'orthographic';
+    if (projection !== 'perspective' && !isOrthographic) {
+      throw new Error(`App3: 未知の投影方法です（${projection}）`);
+    }
+    this.finishCameraTransition();
+    if (this.camera.isOrthographicCamera === isOrthographic) {
+      return;
+    }
+
+    const target = this.controls.target;
+    const height = this.getViewHeight();
+    const direction = this.camera.position.clone().sub(target).normalize();
+    const distance = this.getViewDistance();
+    const perspective = this.perspectiveCamera;
+    const orthographic = this.orthographicCamera;
+    const fovy = App3.CAMERA_PARAM.fovy;
+    const narrowFov = App3.ORTHOGRAPHIC_PARAM.transitionFov;
+    // 写る範囲を保つよう、視野角に合わせて透視投影カメラの距離を変える
+    const applyFov = (fov) => {
+      const d = height / (2.0 * Math.tan(THREE.MathUtils.degToRad(fov / 2)));
+      perspective.fov = fov;
+      perspective.far = Math.max(this.cameraFar, d * 2.0);
+      perspective.updateProjectionMatrix();
+      perspective.position.copy(target).addScaledVector(direction, d);
+      perspective.lookAt(target);
+    };
+
+    if (isOrthographic) {
+      this.startCameraTransition(duration, (t) => {
+        applyFov(THREE.MathUtils.lerp(fovy, narrowFov, t));
+      }, () => {
+        orthographic.position.copy(target).addScaledVector(direction, distance);
+        orthographic.zoom = App3.ORTHOGRAPHIC_PARAM.height / height;
+        orthographic.updateProjectionMatrix();
+        orthographic.lookAt(target);
+        this.setActiveCamera(orthographic);
+        // 次に透視投影へ戻すときのために元の状態にしておく
+        applyFov(fovy);
+      });
+    } else {
+      applyFov(narrowFov);
+      this.setActiveCamera(perspective);
+      this.startCameraTransition(duration, (t) => {
+        applyFov(THREE.MathUtils.lerp(narrowFov, fovy, t));
+      });
+    }
+  }
+
+  /**
+   * 注視点を中心にカメラを回して、プリセットの向きから見る
+   * @param {string} name - CAMERA_PRESET_PARAM のプリセット名
+   * @param {number} [duration] - アニメーションの時間（秒）
+   */
+  setCameraPreset(name, duration = App3.ORTHOGRAPHIC_PARAM.duration) {
+    const preset = App3.CAMERA_PRESET_PARAM[name];
+    if (preset == null) {
+      throw new Error(`App3: 未知のカメラのプリセットです（${name}）`);
+    }
+    this.finishCameraTransition();
+    this.cameraPreset = name;
+
+    const target = this.controls.target;
+    const offset = this.camera.position.clone().sub(target);
+    const distance = offset.length();
+    const from = offset.normalize();
+    const azimuth = THREE.MathUtils.degToRad(preset.azimuth);
+    const elevation = THREE.MathUtils.degToRad(preset.elevation);
+    const to = new THREE.Vector3(
+      Math.sin(azimuth) * Math.cos(elevation),
+      Math.sin(elevation),
+      Math.cos(azimuth) * Math.cos(elevation),
+    );
+    const rotation = new THREE.Quaternion().setFromUnitVectors(from, to);
+    const quaternion = new THREE.Quaternion();
+    this.startCameraTransition(duration, (t) => {
+      quaternion.identity().slerp(rotation, t);
+      this.camera.position.copy(target).addScaledVector(from.clone().applyQuaternion(quaternion), distance);
+      this.camera.lookAt(target);
+    });
+  }
+
+  /**
+   * カメラのアニメーションを始める（アニメーション中はコントロールを無効にする）
+   * @param {number} duration - アニメーションの時間（秒）
+   * @param {function(number): void} update - 進み具合（0.0 〜 1.0）を受け取ってカメラを動かす関数
+   * @param {function(): void} [complete] - 終了時に呼ばれる関数
+   */
+  startCameraTransition(duration, update, complete) {
+    this.cameraTransition = { start: this.realTime, duration, update, complete };
+    this.controls.enabled = false;
+    this.updateCameraTransition();
+  }
+
+  /**
+   * カメラのアニメーションを進める
+   */
+  updateCameraTransition() {
+    if (this.cameraTransition == null) {
+      return;
+    }
+    const { start, duration, update } = this.cameraTransition;
+    const t = duration > 0 ? Math.min((this.realTime - start) / duration, 1.0) : 1.0;
+    update(THREE.MathUtils.smootherstep(t, 0.0, 1.0));
+    if (t >= 1.0) {
+      this.finishCameraTransition();
+    }
+  }
+
+  /**
+   * 進行中のカメラのアニメーションを最後まで進めて終える
+   */
+  finishCameraTransition() {
+    const transition = this.cameraTransition;
+    if (transition == null) {
+      return;
+    }
+    this.cameraTransition = null;
+    transition.update(1.0);
+    if (transition.complete != null) {
+      transition.complete();
+    }
+    this.controls.enabled = !this.isDown;
+  }
+
+  /**
+   * 編集モードを切り替える
+   * 編集モードではドラッグでセルを塗り、修飾キー（EDIT_PARAM.orbitKey）を押しながらのドラッグでカメラを回転する
+   * @param {boolean} enabled - 編集モードにするかどうか
+   */
+  setEditMode(enabled) {
+    this.isEditing = enabled;
+    // セルごとの変更を表示に反映するため、bake した状態は解除する
+    // 編集しているフレームが切り替わらないよう、フレームの再生も止める
+    if (enabled) {
+      this.unbake();
+      this.pauseFrames();
+      this.finishFrameTween();
+    }
+    this.updatePalettePanel();
+  }
+
+  /**
+   * ペイントに使うパレット番号を選ぶ
+   * @param {number} index - パレット番号（EMPTY のときは消しゴム）
+   */
+  setPaintIndex(index) {
+    this.paintIndex = index;
+    this.updatePalettePanel();
+  }
+
+  /**
+   * パレットの編集パネルの表示を更新する
+   */
+  updatePalettePanel() {
+    if (this.palettePanel != null) {
+      this.palettePanel.update();
+    }
+  }
+
+  /**
+   * ポインタの位置にあるボックスを選択中の色で塗る
+   * @param {PointerEvent} event - ポインタイベント
+   */
+  paintAt(event) {
+    const cell = this.pickCell(event, true);
+    if (cell != null) {
+      this.editCell(cell.col, cell.row, cell.layer, this.paintIndex);
+    }
+  }
+
+  /**
+   * ポインタの位置にあるセルを求める
+   * @param {PointerEvent} event - ポインタイベント
+   * @param {boolean} [includeEmpty] - ボックスに当たらなかったときに空のセルも対象にするかどうか
+   * @return {{col: number, row: number, layer: number}|null}
+   */
+  pickCell(event, includeEmpty = false) {
+    this.setPointerRay(event);
+    const intersect = this.raycaster.intersectObject(this.boxes, false)[0];
+    if (intersect != null) {
+      return this.getCellFromInstanceId(intersect.instanceId);
+    }
+    // 大きさ 0 の空のセルにはレイが当たらないので、層ごとの平面との交点から求める
+    return includeEmpty ? this.pickGridCell(this.raycaster.ray) : null;
+  }
+
+  /**
+   * ポインタの位置を通るカメラからのレイを raycaster に設定する
+   * @param {PointerEvent} event - ポインタイベント
+   */
+  setPointerRay(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    _pointer.set(
+      (event.clientX - rect.left) / rect.width * 2.0 - 1.0,
+      -(event.clientY - rect.top) / rect.height * 2.0 + 1.0,
+    );
+    this.raycaster.setFromCamera(_pointer, this.camera);
+  }
+
+  /**
+   * 層ごとの中央の平面とレイの交点からセルを求める（飛び散りやレリーフによるずれは考えない）
+   * グリッドの中で最初に交わる層のセルを返す
+   * @param {THREE.Ray} ray - カメラからのレイ
+   * @param {boolean} [filledOnly] - 空のセルを飛ばすかどうか
+   * @return {{col: number, row: number, layer: number}|null}
+   */
+  pickGridCell(ray, filledOnly = false) {
+    const { width, height, depth } = this.sprite;
+    const pitch = this.getCellPitch();
+    if (ray.direction.z === 0.0) {
+      return null;
+    }
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let layer = 0; layer < depth; layer++) {
+      const z = ((depth - 1) / 2 - layer) * pitch;
+      const distance = (z - ray.origin.z) / ray.direction.z;
+      if (distance < 0.0 || distance >= nearestDistance) {
+        continue;
+      }
+      ray.at(distance, _position);
+      const col = Math.round(_position.x / pitch + (width - 1) / 2);
+      const row = Math.round((height - 1) / 2 - _position.y / pitch);
+      if (col < 0 || row < 0 || col >= width || row >= height) {
+        continue;
+      }
+      if (!filledOnly || this.sprite.layers[layer][row][col] !== EMPTY) {
+        nearest = { col, row, layer };
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * 操作履歴に残しながらセルのパレット番号を変更する
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {number} index - パレット番号（EMPTY のときはボックスを消す）
+   */
+  editCell(col, row, layer, index) {
+    const before = this.sprite.layers[layer][row][col];
+    if (before === index) {
+      return;
+    }
+    // 取り消すときに別のフレームを表示していても、編集したフレームに戻せるよう記録しておく
+    const frame = this.frameIndex;
+    this.setCell(col, row, layer, index);
+    this.history.push({
+      type: index === EMPTY ? 'erase' : 'paint',
+      undo: () => this.setCell(col, row, layer, before, frame),
+      redo: () => this.setCell(col, row, layer, index, frame),
+    });
+  }
+
+  /**
+   * 指定したセルとつながっている同じ色のセルを塗りつぶす（同じ層の中の上下左右でつながっているもの）
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {number} index - パレット番号（EMPTY のときはボックスを消す）
+   */
+  fill(col, row, layer, index) {
+    const cells = this.sprite.layers[layer];
+    const target = cells[row][col];
+    if (target === index) {
+      return;
+    }
+    this.history.begin('fill');
+    const stack = [[col, row]];
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      if (x < 0 || y < 0 || x >= this.sprite.width || y >= this.sprite.height || cells[y][x] !== target) {
+        continue;
+      }
+      this.editCell(x, y, layer, index);
+      stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+    }
+    this.history.end();
+  }
+
+  /**
+   * 操作履歴に残しながらスプライトの列数と行数を変更する
+   * 既定では中央をそろえて切り取り・空のセルで拡張し、mode に 'resample' を指定すると絵全体を拡大・縮小する
+   * @param {number} width - 新しい列数
+   * @param {number} height - 新しい行数
+   * @param {object} [options] - resizeSprite に渡すオプション（mode, anchorX, anchorY）
+   */
+  resize(width, height, options = {}) {
+    const before = this.sprite;
+    const after = resizeSprite(before, width, height, options);
+    this.applySprite(after);
+    this.history.push({
+      type: 'resize',
+      undo: () => this.applySprite(before),
+      redo: () => this.applySprite(after),
+    });
+  }
+
+  /**
+   * ボックスの一辺の長さと隙間を変更し、グリッドの中央が原点になるよう並べ直す
+   * @param {number} size - ボックスの一辺の長さ
+   * @param {number} [gap] - 隣り合うボックスの隙間
+   */
+  setCellSize(size, gap = this.cellGap) {
+    if (!(size > 0) || !(gap >= 0)) {
+      throw new Error(`App3: ボックスの大きさ ${size} または隙間 ${gap} が不正です`);
+    }
+    this.cellSize = size;
+    this.cellGap = gap;
+    // init の前はボックスを作るときに反映される
+    if (this.boxGeometry == null) {
+      return;
+    }
+    this.boxGeometry.dispose();
+    this.boxGeometry = new THREE.BoxGeometry(size, size, size);
+    this.applySprite(this.sprite);
+  }
+
+  /**
+   * 隣り合うセルの中心の間隔を返す
+   * @return {number}
+   */
+  getCellPitch() {
+    return this.cellSize + this.cellGap;
+  }
+
+  /**
+   * 操作履歴に残しながらパレットを差し替える
+   * @param {Array<string|number>} palette - 新しいパレット（使われているパレット番号をすべて含む必要がある）
+   */
+  setPalette(palette) {
+    // 使われているパレット番号が新しいパレットに収まっているかを確かめる
+    createSprite({ palette, frames: this.sprite.frames });
+    const before = this.sprite.palette.slice();
+    const after = palette.slice();
+    this.applyPalette(after);
+    this.history.push({
+      type: 'palette',
+      undo: () => this.applyPalette(before),
+      redo: () => this.applyPalette(after),
+    });
+  }
+
+  /**
+   * パレットを差し替えてすべてのセルの色を更新する（操作履歴には残さない）
+   * @param {Array<string|number>} palette - 新しいパレット
+   */
+  applyPalette(palette) {
+    this.sprite.palette = palette.slice();
+    for (let layer = 0; layer < this.sprite.depth; layer++) {
+      for (let row = 0; row < this.sprite.height; row++) {
+        for (let col = 0; col < this.sprite.width; col++) {
+          const index = this.sprite.layers[layer][row][col];
+          if (index !== EMPTY) {
+            this.setCellColor(col, row, layer, palette[index]);
+          }
         }
-        if( col === 13 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x424040);
+      }
+    }
+    this.invalidateBake();
+    this.updatePalettePanel();
+    this.updatePassPalettes();
+    // 奥行きを明るさから決めている色の高さが変わる
+    if (this.isReliefEnabled) {
+      this.animateRelief();
+    }
+  }
+
+  /**
+   * 操作履歴に残しながらパレットの 1 色を変更する
+   * @param {number} index - パレット番号
+   * @param {string|number} color - 新しい色
+   */
+  setPaletteColor(index, color) {
+    const before = this.sprite.palette[index];
+    if (before === color) {
+      return;
+    }
+    this.applyPaletteColor(index, color);
+    this.history.push({
+      type: 'palette',
+      undo: () => this.applyPaletteColor(index, before),
+      redo: () => this.applyPaletteColor(index, color),
+    });
+  }
+
+  /**
+   * パレットの 1 色を変更して、その色のセルだけを塗り直す（操作履歴には残さない）
+   * @param {number} index - パレット番号
+   * @param {string|number} color - 新しい色
+   */
+  applyPaletteColor(index, color) {
+    this.sprite.palette[index] = color;
+    for (let layer = 0; layer < this.sprite.depth; layer++) {
+      for (let row = 0; row < this.sprite.height; row++) {
+        for (let col = 0; col < this.sprite.width; col++) {
+          if (this.sprite.layers[layer][row][col] === index) {
+            this.setCellColor(col, row, layer, color);
+          }
         }
+      }
+    }
+    this.invalidateBake();
+    this.updatePalettePanel();
+    this.updatePassPalettes();
+    if (this.isReliefEnabled && this.paletteReliefs[index] == null) {
+      this.animateRelief();
+    }
+  }
+
+  /**
+   * ここから endEdit までの編集を 1 つの操作として履歴に残す
+   * 同じ種類の編集をまとめている途中であれば、そのまま続けてまとめる（カラーピッカーの input イベントなど）
+   * @param {string} type - 操作の種類
+   */
+  beginEdit(type) {
+    if (this.history.group?.type !== type) {
+      this.history.begin(type);
+    }
+  }
+
+  /**
+   * beginEdit からの編集をまとめて履歴に残す
+   */
+  endEdit() {
+    this.history.end();
+  }
+
+  /**
+   * 直前の編集を取り消す
+   * @return {boolean} 取り消せたかどうか
+   */
+  undo() {
+    return this.history.undo();
+  }
+
+  /**
+   * 取り消した編集をやり直す
+   * @return {boolean} やり直せたかどうか
+   */
+  redo() {
+    return this.history.redo();
+  }
+
+  /**
+   * セルのパレット番号を変更して表示に反映する
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {number} index - パレット番号（EMPTY のときはボックスを消す）
+   * @param {number} [frame] - フレームの番号（表示しているフレームと違う場合はそのフレームに切り替える）
+   */
+  setCell(col, row, layer, index, frame = this.frameIndex) {
+    this.sprite.frames[frame].layers[layer][row][col] = index;
+    if (frame !== this.frameIndex) {
+      this.pauseFrames();
+      this.setFrame(frame);
+      return;
+    }
+    this.refreshCell(col, row, layer);
+  }
+
+  /**
+   * セルの色と大きさをスプライトのデータに合わせる（位置はそのまま）
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   */
+  refreshCell(col, row, layer) {
+    const index = this.sprite.layers[layer][row][col];
+    if (index !== EMPTY) {
+      this.setCellColor(col, row, layer, this.sprite.palette[index]);
+    }
+    // パレット番号が変わるとレリーフの高さも変わる（高さを変化させている間はそのアニメーションに任せる）
+    if (this.reliefAnimation == null) {
+      const id = this.getCellInstanceId(col, row, layer);
+      const relief = this.getCellRelief(col, row, layer);
+      this.reliefDepths[id] = relief.depth;
+      this.reliefOffsets[id] = relief.offset;
+      this.isReliefLevelDirty = true;
+    }
+    // 空かどうかでインスタンスの大きさが変わるので、行列を更新する
+    this.updateCellMatrix(col, row, layer);
+    this.invalidateBake();
+    this.isOutlineDirty = true;
+  }
+
+  /**
+   * 本来の位置と飛び散り具合からセルの今の位置を求め、大きさと合わせて行列に反映する
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   */
+  updateCellMatrix(col, row, layer) {
+    this.getCellHomePosition(col, row, layer, _position);
+    if (this.explodeAmounts != null) {
+      const id = this.getCellInstanceId(col, row, layer);
+      _target.fromArray(this.explodeTargets, id * 3);
+      _position.lerp(_target, this.explodeAmounts[id]);
+    }
+    this.setCellPosition(col, row, layer, _position.x, _position.y, _position.z);
+  }
+
+  /**
+   * インスタンスの番号に対応するセルを返す
+   * @param {number} instanceId - インスタンスの番号
+   * @return {{col: number, row: number, layer: number}}
+   */
+  getCellFromInstanceId(instanceId) {
+    const { width, height } = this.sprite;
+    return {
+      col: instanceId % width,
+      row: Math.floor(instanceId / width) % height,
+      layer: Math.floor(instanceId / (width * height)),
+    };
+  }
+
+  /**
+   * セルに対応するインスタンスの番号を返す
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @return {number}
+   */
+  getCellInstanceId(col, row, layer) {
+    return (layer * this.sprite.height + row) * this.sprite.width + col;
+  }
+
+  /**
+   * セルが本来置かれる位置（グリッドの中央が原点、レリーフ表示ではその高さも含む）を求める
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {THREE.Vector3} target - 結果を格納するベクトル
+   * @return {THREE.Vector3}
+   */
+  getCellHomePosition(col, row, layer, target) {
+    getCellPosition(this.sprite, col, row, layer, this.getCellPitch(), target);
+    // 奥の面の位置をそろえたまま手前へ押し出す
+    if (this.reliefDepths != null) {
+      const id = this.getCellInstanceId(col, row, layer);
+      target.z += this.reliefOffsets[id] * this.getCellPitch() + (this.reliefDepths[id] - 1.0) / 2.0 * this.cellSize;
+    }
+    return target;
+  }
+
+  /**
+   * セルの色を変更する
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {THREE.ColorRepresentation} color - 色
+   */
+  setCellColor(col, row, layer, color) {
+    this.boxes.setColorAt(this.getCellInstanceId(col, row, layer), _color.set(color));
+    this.boxes.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * セルの位置を変更する（空のセルは大きさ 0 のまま）
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {number} x - X 座標
+   * @param {number} y - Y 座標
+   * @param {number} z - Z 座標
+   */
+  setCellPosition(col, row, layer, x, y, z) {
+    const id = this.getCellInstanceId(col, row, layer);
+    // フレームの間を変化させている間は大きさを上書きする
+    const scale = this.cellScales?.get(id) ?? (this.sprite.layers[layer][row][col] === EMPTY ? 0.0 : 1.0);
+    const reliefDepth = this.reliefDepths?.[id] ?? 1.0;
+    _matrix.makeScale(scale, scale, scale * reliefDepth).setPosition(x, y, z);
+    this.boxes.setMatrixAt(id, _matrix);
+    this.boxes.instanceMatrix.needsUpdate = true;
+    // 境界球は次に必要になったときに計算し直す
+    this.boxes.boundingSphere = null;
+  }
+
+  /**
+   * フレームの再生を始める（最後のフレームで止まっていた場合は先頭から再生する）
+   */
+  playFrames() {
+    const { from, to } = this.getFrameRange();
+    if (this.frameMode === 'once' && this.frameIndex === (this.frameDirection > 0 ? to : from)) {
+      this.setFrame(this.frameDirection > 0 ? from : to);
+    }
+    this.isFramePlaying = true;
+  }
+
+  /**
+   * スプライトのタグが指すフレームの範囲を、タグの向きに合わせて再生する
+   * @param {string|null} name - タグの名前（null のときはすべてのフレームを再生する）
+   */
+  playTag(name) {
+    if (name == null) {
+      this.frameTag = null;
+      this.setFrameMode(App3.FRAME_ANIMATION_PARAM.mode);
+      this.setFrame(0);
+      this.isFramePlaying = true;
+      return;
+    }
+    const tag = this.sprite.tags.find((entry) => entry.name === name);
+    if (tag == null) {
+      throw new Error(`App3: タグ ${name} はありません`);
+    }
+    this.frameTag = name;
+    // Aseprite と同じく、reverse と pingpong_reverse は最後のフレームから逆向きに再生する
+    const isReverse = tag.direction === 'reverse' || tag.direction === 'pingpong_reverse';
+    this.setFrameMode(tag.direction.startsWith('pingpong') ? 'pingpong' : 'loop');
+    this.frameDirection = isReverse ? -1 : 1;
+    this.setFrame(isReverse ? tag.to : tag.from);
+    this.isFramePlaying = true;
+  }
+
+  /**
+   * 再生するフレームの範囲（再生しているタグの範囲、タグがなければすべてのフレーム）
+   * @return {{from: number, to: number}}
+   */
+  getFrameRange() {
+    const tag = this.sprite.tags.find((entry) => entry.name === this.frameTag);
+    return tag ?? { from: 0, to: this.sprite.frames.length - 1 };
+  }
+
+  /**
+   * フレームの再生を一時停止する
+   */
+  pauseFrames() {
+    this.isFramePlaying = false;
+  }
+
+  /**
+   * フレームの再生の仕方を変える
+   * @param {string} mode - loop（繰り返す）、once（最後のフレームで止める）、pingpong（往復する）
+   */
+  setFrameMode(mode) {
+    if (mode !== 'loop' && mode !== 'once' && mode !== 'pingpong') {
+      throw new Error(`App3: 未知の再生の仕方です（${mode}）`);
+    }
+    this.frameMode = mode;
+    this.frameDirection = 1;
+  }
 
+  /**
+   * フレームを切り替えるときに前のフレームから変化させる割合を変える
+   * @param {number} ratio - フレームの表示時間のうち変化させる割合（0.0 のときは一瞬で切り替える）
+   */
+  setFrameTween(ratio) {
+    this.frameTweenRatio = THREE.MathUtils.clamp(ratio, 0.0, 1.0);
+  }
 
-        // 0x5c6060
-        if( col === 13 && row === 7 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 10 && row === 8 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 12 && row === 9 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 10 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 14 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 15 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 17 && row === 11 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 14 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 15 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 16 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 18 && row === 12 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 5 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 13 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 14 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 15 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 16 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 18 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 19 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 6 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 13 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 14 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 15 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 16 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 18 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 19 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 20 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 12 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 13 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 14 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 17 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 19 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 20 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 5 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 6 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 9 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 10 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 11 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 12 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 17 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 19 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 20 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 21 && row === 16 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 6 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 7 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 8 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 17 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 19 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 20 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 21 && row === 17 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 17 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 18 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 20 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 21 && row === 18 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 11 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
-        if( col === 12 && row === 19 ) {
-          this.box.material.color = new THREE.Color(0x5c6060);
-        }
+  /**
+   * 指定したフレームを表示する
+   * @param {number} index - フレームの番号
+   * @param {boolean} [tween] - 前のフレームから変化させるかどうか
+   */
+  setFrame(index, tween = false) {
+    const frame = this.sprite.frames[index];
+    if (frame == null) {
+      throw new Error(`App3: ${index} フレーム目はありません`);
+    }
+    this.finishFrameTween();
+    const before = this.sprite.layers;
+    this.frameIndex = index;
+    this.frameTime = 0.0;
+    this.sprite.layers = frame.layers;
 
-        // 0xffffff
-        if( col === 12 && row === 13 ) {
-          this.box.material.color = new THREE.Color(0xffffff);
-        }
-        if( col === 12 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0xffffff);
+    // 前のフレームからパレット番号が変わったセルだけを更新する
+    const changes = [];
+    const { width, height, depth } = this.sprite;
+    for (let layer = 0; layer < depth; layer++) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const from = before[layer][row][col];
+          const to = frame.layers[layer][row][col];
+          if (from !== to) {
+            changes.push({ col, row, layer, from, to });
+          }
         }
+      }
+    }
+    const duration = frame.duration * this.frameTweenRatio;
+    if (tween && duration > 0.0 && changes.length > 0) {
+      this.frameTween = { changes, elapsed: 0.0, duration };
+      this.cellScales = new Map();
+      this.applyFrameTween(0.0);
+      this.invalidateBake();
+      this.isOutlineDirty = true;
+    } else {
+      changes.forEach(({ col, row, layer }) => this.refreshCell(col, row, layer));
+    }
+  }
 
-        // 0xff5552
-        if( col === 11 && row === 14 ) {
-          this.box.material.color = new THREE.Color(0xff5552);
-        }
-        if( col === 10 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0xff5552);
+  /**
+   * 再生の仕方に合わせて次に表示するフレームの番号を求める
+   * @return {number|null} 次のフレームの番号（once で最後のフレームまで再生した場合は null）
+   */
+  getNextFrameIndex() {
+    const { from, to } = this.getFrameRange();
+    // 範囲の外のフレームを表示していた場合は範囲の先頭から始める
+    if (this.frameIndex < from || this.frameIndex > to) {
+      return this.frameDirection > 0 ? from : to;
+    }
+    const next = this.frameIndex + this.frameDirection;
+    const isInside = next >= from && next <= to;
+    switch (this.frameMode) {
+      case 'once':
+        return isInside ? next : null;
+      case 'pingpong':
+        if (isInside) {
+          return next;
+        }
+        this.frameDirection = -this.frameDirection;
+        return THREE.MathUtils.clamp(this.frameIndex + this.frameDirection, from, to);
+      default:
+        if (isInside) {
+          return next;
+        }
+        return this.frameDirection > 0 ? from : to;
+    }
+  }
+
+  /**
+   * フレームのアニメーションを進める
+   * @param {number} delta - 進める時間（秒）
+   */
+  updateFrames(delta) {
+    if (this.frameTween != null) {
+      this.frameTween.elapsed += delta;
+      const t = Math.min(this.frameTween.elapsed / this.frameTween.duration, 1.0);
+      if (t < 1.0) {
+        this.applyFrameTween(THREE.MathUtils.smoothstep(t, 0.0, 1.0));
+      } else {
+        this.finishFrameTween();
+      }
+    }
+    const { from, to } = this.getFrameRange();
+    if (!this.isFramePlaying || from === to) {
+      return;
+    }
+    this.frameTime += delta;
+    while (this.frameTime >= this.sprite.frames[this.frameIndex].duration) {
+      const rest = this.frameTime - this.sprite.frames[this.frameIndex].duration;
+      const next = this.getNextFrameIndex();
+      if (next == null) {
+        this.isFramePlaying = false;
+        break;
+      }
+      this.setFrame(next, true);
+      this.frameTime = rest;
+    }
+  }
+
+  /**
+   * フレームの間の変化の途中の状態を表示する
+   * 空から現れるセルは大きくしながら、空になるセルは小さくしながら、色が変わるセルは色を混ぜながら表示する
+   * @param {number} t - 進み具合（0.0 〜 1.0）
+   */
+  applyFrameTween(t) {
+    const { palette } = this.sprite;
+    this.frameTween.changes.forEach(({ col, row, layer, from, to }) => {
+      const id = this.getCellInstanceId(col, row, layer);
+      if (from === EMPTY) {
+        this.setCellColor(col, row, layer, palette[to]);
+        this.cellScales.set(id, t);
+      } else if (to === EMPTY) {
+        this.setCellColor(col, row, layer, palette[from]);
+        this.cellScales.set(id, 1.0 - t);
+      } else {
+        _color.set(palette[from]);
+        this.setCellColor(col, row, layer, _color.lerp(_tweenColor.set(palette[to]), t));
+      }
+      this.updateCellMatrix(col, row, layer);
+    });
+  }
+
+  /**
+   * 進行中のフレームの間の変化を終えて、表示しているフレームの状態にする
+   */
+  finishFrameTween() {
+    const tween = this.frameTween;
+    if (tween == null) {
+      return;
+    }
+    this.frameTween = null;
+    this.cellScales = null;
+    tween.changes.forEach(({ col, row, layer }) => this.refreshCell(col, row, layer));
+  }
+
+  /**
+   * ボックスを元の位置から飛び散らせる
+   * bake している場合はセルごとに動かせるよう解除する
+   * @param {object} [options] - EXPLODE_PARAM と同じ形式のオプション（easing はイージング名）
+   * @return {Promise<void>} アニメーションが終わる（または別のアニメーションに切り替わる）と解決される
+   */
+  explode(options = {}) {
+    const { style, duration, stagger, distance, easing } = { ...App3.EXPLODE_PARAM, ...options };
+    this.unbake();
+    // 飛び散っている途中で呼ばれた場合は、位置が飛ばないよう今の行き先のまま飛び散らせる
+    if (this.explodeLevel === 0.0) {
+      this.createExplodeTargets(style, stagger, distance);
+    }
+    return this.startCellAnimation(1.0, duration, getEasing(typeof easing === 'object' ? easing[style] : easing));
+  }
+
+  /**
+   * 飛び散ったボックスを元の位置に戻す
+   * @param {object} [options]
+   * @param {number} [options.duration] - 1 つのボックスが動く時間（秒）
+   * @param {string} [options.easing] - イージング名
+   * @return {Promise<void>} アニメーションが終わる（または別のアニメーションに切り替わる）と解決される
+   */
+  assemble({ duration = App3.EXPLODE_PARAM.duration, easing = App3.EXPLODE_PARAM.assembleEasing } = {}) {
+    if (this.explodeAmounts == null) {
+      return Promise.resolve();
+    }
+    return this.startCellAnimation(0.0, duration, getEasing(easing));
+  }
+
+  /**
+   * 飛び散らせる・元に戻すを切り替える
+   */
+  toggleExplode() {
+    const target = this.cellAnimation != null ? this.cellAnimation.to : this.explodeLevel;
+    if (target > 0.0) {
+      this.assemble();
+    } else {
+      this.explode();
+    }
+  }
+
+  /**
+   * セルごとの飛び散った先の位置と、動き出すまでの時間を決める
+   * @param {string} style - 飛び散り方（radial, scatter, drop）
+   * @param {number} stagger - 動き出す時刻をずらす最大の幅（秒）
+   * @param {number} distance - 飛び散る距離の目安
+   */
+  createExplodeTargets(style, stagger, distance) {
+    const { width, height, depth } = this.sprite;
+    const count = width * height * depth;
+    const bounds = this.getSpriteBounds(new THREE.Box3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const maxRadius = Math.max(bounds.getSize(new THREE.Vector3()).length() / 2, Number.EPSILON);
+    const floor = bounds.min.y - distance * 0.5 + this.cellSize / 2;
+    const direction = new THREE.Vector3();
+    this.explodeTargets = new Float32Array(count * 3);
+    this.explodeDelays = new Float32Array(count);
+    this.explodeAmounts = new Float32Array(count);
+
+    for (let layer = 0; layer < depth; layer++) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const id = this.getCellInstanceId(col, row, layer);
+          this.getCellHomePosition(col, row, layer, _position);
+          let delay = Math.random();
+          switch (style) {
+            case 'radial': {
+              // 中心から外へ向かう向きに少しばらつきを加え、内側のセルから順に飛ばす
+              direction.copy(_position).sub(center);
+              delay = direction.length() / maxRadius;
+              direction.normalize().add(_target.randomDirection().multiplyScalar(0.5)).normalize();
+              _position.addScaledVector(direction, distance * (0.5 + Math.random() * 0.5));
+              break;
+            }
+            case 'scatter':
+              direction.randomDirection();
+              _position.addScaledVector(direction, distance * (0.3 + Math.random() * 0.7));
+              break;
+            case 'drop':
+              // 床まで落ちて、前後左右に少し散らばる
+              _position.x += (Math.random() * 2.0 - 1.0) * distance * 0.2;
+              _position.z += (Math.random() * 2.0 - 1.0) * distance * 0.5;
+              _position.y = floor;
+              break;
+            default:
+              throw new Error(`App3: 未知の飛び散り方です（${style}）`);
+          }
+          _position.toArray(this.explodeTargets, id * 3);
+          this.explodeDelays[id] = delay * stagger;
         }
-        if( col === 11 && row === 15 ) {
-          this.box.material.color = new THREE.Color(0xff5552);
+      }
+    }
+  }
+
+  /**
+   * セルのアニメーションを始める
+   * @param {number} to - 目標の飛び散り具合（0.0 で元の位置、1.0 で飛び散った先）
+   * @param {number} duration - 1 つのボックスが動く時間（秒）
+   * @param {function(number): number} easing - イージング関数
+   * @return {Promise<void>}
+   */
+  startCellAnimation(to, duration, easing) {
+    this.finishCellAnimation(false);
+    return new Promise((resolve) => {
+      this.cellAnimation = {
+        start: this.time,
+        from: this.explodeAmounts.slice(),
+        to,
+        duration,
+        easing,
+        resolve,
+      };
+      this.updateCellAnimation();
+    });
+  }
+
+  /**
+   * セルのアニメーションを進めて、ボックスを動かす
+   */
+  updateCellAnimation() {
+    const animation = this.cellAnimation;
+    if (animation == null) {
+      return;
+    }
+    const { start, from, to, duration, easing } = animation;
+    const elapsed = this.time - start;
+    const { width, height, depth } = this.sprite;
+    let isFinished = true;
+    let level = 0.0;
+    for (let layer = 0; layer < depth; layer++) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const id = this.getCellInstanceId(col, row, layer);
+          const t = duration > 0 ? THREE.MathUtils.clamp((elapsed - this.explodeDelays[id]) / duration, 0.0, 1.0) : 1.0;
+          if (t < 1.0) {
+            isFinished = false;
+          }
+          const amount = THREE.MathUtils.lerp(from[id], to, easing(t));
+          this.explodeAmounts[id] = amount;
+          level = Math.max(level, Math.abs(amount));
+          this.updateCellMatrix(col, row, layer);
         }
+      }
+    }
+    this.explodeLevel = Math.min(level, 1.0);
+    if (isFinished) {
+      this.finishCellAnimation(false);
+    }
+  }
+
+  /**
+   * 進行中のセルのアニメーションを終える
+   * @param {boolean} [complete] - 最後まで進めてから終えるかどうか（false のときは今の位置で止める）
+   */
+  finishCellAnimation(complete = true) {
+    const animation = this.cellAnimation;
+    if (animation == null) {
+      return;
+    }
+    if (complete) {
+      animation.start = -Infinity;
+      this.updateCellAnimation();
+    }
+    this.cellAnimation = null;
+    animation.resolve();
+  }
+
+  /**
+   * 飛び散った状態を捨てる（ボックスの位置はそのまま）
+   */
+  resetExplode() {
+    this.finishCellAnimation(false);
+    this.explodeTargets = null;
+    this.explodeDelays = null;
+    this.explodeAmounts = null;
+    this.explodeLevel = 0.0;
+  }
+
+  /**
+   * レリーフ表示を切り替え、高さを変化させる
+   * @param {boolean} enabled - レリーフ表示にするかどうか
+   * @param {number} [duration] - 高さの変化にかける時間（秒）
+   */
+  setReliefEnabled(enabled, duration = App3.RELIEF_PARAM.duration) {
+    this.isReliefEnabled = enabled;
+    this.animateRelief(duration);
+  }
+
+  /**
+   * レリーフ表示を切り替える
+   */
+  toggleRelief() {
+    this.setReliefEnabled(!this.isReliefEnabled);
+  }
+
+  /**
+   * パレットの色ごとの奥行きとずれを設定する
+   * @param {number} index - パレット番号
+   * @param {number|{depth: number, offset: number}|null} relief - 奥行き、または奥行きとずれ（null のときは色の明るさから決める）
+   * @param {number} [duration] - 高さの変化にかける時間（秒）
+   */
+  setPaletteRelief(index, relief, duration = App3.RELIEF_PARAM.duration) {
+    if (!(Number.isInteger(index) && index >= 0 && index < this.sprite.palette.length)) {
+      throw new Error(`App3: パレット番号 ${index} が不正です`);
+    }
+    this.paletteReliefs[index] = normalizeRelief(relief);
+    this.animateRelief(duration);
+  }
 
-        this.box.position.set(col * BOX_SIZE + offsetX, -row * BOX_SIZE - offsetY, 0);
-        this.scene.add(this.box);
+  /**
+   * セルごとの奥行きとずれを高さマップで設定する（すべての層で同じ値を使い、パレットの色ごとの指定より優先する）
+   * @param {Array<Array<number|{depth: number, offset: number}|null>>|null} map - 行・列の 2 次元配列
+   *   （null の要素はパレットの色ごとの指定に従う、map が null のときは高さマップを解除する）
+   * @param {number} [duration] - 高さの変化にかける時間（秒）
+   */
+  setReliefMap(map, duration = App3.RELIEF_PARAM.duration) {
+    if (map != null) {
+      const { width, height } = this.sprite;
+      if (!Array.isArray(map) || map.length !== height || map.some((row) => !Array.isArray(row) || row.length !== width)) {
+        throw new Error(`App3: 高さマップは ${height} 行 ${width} 列の配列にしてください`);
       }
+      this.reliefMap = map.map((row) => row.map(normalizeRelief));
+    } else {
+      this.reliefMap = null;
     }
+    this.animateRelief(duration);
+  }
 
+  /**
+   * パレット番号ごとの目標の奥行きとずれを求める
+   * @return {Array<{depth: number, offset: number}>}
+   */
+  getPaletteReliefs() {
+    const { minDepth, maxDepth } = App3.RELIEF_PARAM;
+    return this.sprite.palette.map((color, index) => {
+      if (this.paletteReliefs[index] != null) {
+        return this.paletteReliefs[index];
+      }
+      // 指定がない色は暗いほど手前に押し出す
+      const [r, g, b] = parseColor(color);
+      const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+      return { depth: THREE.MathUtils.lerp(maxDepth, minDepth, luminance), offset: 0.0 };
+    });
+  }
 
-    // コントロール
-    this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+  /**
+   * セルの目標の奥行きとずれを求める
+   * @param {number} col - 列
+   * @param {number} row - 行
+   * @param {number} layer - 層（手前が 0）
+   * @param {Array<{depth: number, offset: number}>} [paletteReliefs] - getPaletteReliefs で求めたパレット番号ごとの値
+   * @return {{depth: number, offset: number}}
+   */
+  getCellRelief(col, row, layer, paletteReliefs = null) {
+    const index = this.sprite.layers[layer][row][col];
+    if (!this.isReliefEnabled || index === EMPTY) {
+      return FLAT_RELIEF;
+    }
+    return this.reliefMap?.[row][col] ?? (paletteReliefs ?? this.getPaletteReliefs())[index];
+  }
 
-    // ヘルパー
-    // const axesBarLength = 5.0;
-    // this.axesHelper = new THREE.AxesHelper(axesBarLength);
-    // this.scene.add(this.axesHelper);
+  /**
+   * 今の高さから目標の高さへの変化を始める
+   * bake している場合はセルごとに動かせるよう解除する
+   * @param {number} [duration] - 高さの変化にかける時間（秒）
+   * @param {string} [easing] - イージング名
+   */
+  animateRelief(duration = App3.RELIEF_PARAM.duration, easing = App3.RELIEF_PARAM.easing) {
+    // init の前はボックスを作るときに目標の高さになる
+    if (this.boxes == null) {
+      return;
+    }
+    this.unbake();
+    this.reliefAnimation = {
+      start: this.time,
+      fromDepths: this.reliefDepths.slice(),
+      fromOffsets: this.reliefOffsets.slice(),
+      // 毎フレーム色から求め直さないよう、パレット番号ごとの目標を始めに求めておく
+      paletteReliefs: this.getPaletteReliefs(),
+      duration,
+      easing: getEasing(easing),
+    };
+    this.updateRelief();
+  }
+
+  /**
+   * 高さの変化を進めて、ボックスを伸び縮みさせる
+   */
+  updateRelief() {
+    const animation = this.reliefAnimation;
+    if (animation == null) {
+      return;
+    }
+    const { start, fromDepths, fromOffsets, paletteReliefs, duration, easing } = animation;
+    const t = duration > 0 ? THREE.MathUtils.clamp((this.time - start) / duration, 0.0, 1.0) : 1.0;
+    const amount = easing(t);
+    const { width, height, depth } = this.sprite;
+    for (let layer = 0; layer < depth; layer++) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const id = this.getCellInstanceId(col, row, layer);
+          const relief = this.getCellRelief(col, row, layer, paletteReliefs);
+          this.reliefDepths[id] = THREE.MathUtils.lerp(fromDepths[id], relief.depth, amount);
+          this.reliefOffsets[id] = THREE.MathUtils.lerp(fromOffsets[id], relief.offset, amount);
+          this.updateCellMatrix(col, row, layer);
+        }
+      }
+    }
+    this.isReliefLevelDirty = true;
+    if (t >= 1.0) {
+      this.reliefAnimation = null;
+      // 変化の途中で bake した場合は、目標の高さで作り直す
+      this.invalidateBake();
+    }
+  }
+
+  /**
+   * bake や書き出しに使う、セルの今の奥行きとずれを返す関数を作る
+   * @return {function(number, number, number): {depth: number, offset: number}|null} すべてのセルが平らなときは null
+   */
+  getReliefFunction() {
+    if (this.isReliefLevelDirty) {
+      this.updateReliefLevel();
+    }
+    if (this.reliefLevel === 0.0) {
+      return null;
+    }
+    const depths = this.reliefDepths.slice();
+    const offsets = this.reliefOffsets.slice();
+    return (col, row, layer) => {
+      const id = this.getCellInstanceId(col, row, layer);
+      return { depth: depths[id], offset: offsets[id] };
+    };
+  }
+
+  /**
+   * 平らな状態から最も離れているセルの度合いを求め直す
+   */
+  updateReliefLevel() {
+    let level = 0.0;
+    for (let id = 0; id < this.reliefDepths.length; id++) {
+      level = Math.max(level, Math.abs(this.reliefDepths[id] - 1.0) + Math.abs(this.reliefOffsets[id]));
+    }
+    this.reliefLevel = Math.min(level, 1.0);
+    this.isReliefLevelDirty = false;
+  }
+
+  /**
+   * 更新のたびに呼ばれる関数を登録する
+   * @param {function(number, number): void} callback - 経過時間（秒）とアニメーションの経過時間（秒）を受け取る関数
+   * @return {function(): void} 登録を解除する関数
+   */
+  onUpdate(callback) {
+    this.updateCallbacks.add(callback);
+    return () => this.offUpdate(callback);
+  }
+
+  /**
+   * onUpdate で登録した関数を解除する
+   * @param {function(number, number): void} callback - 登録した関数
+   */
+  offUpdate(callback) {
+    this.updateCallbacks.delete(callback);
+  }
+
+  /**
+   * アニメーションを一時停止する（カメラの操作はそのまま行える）
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * 一時停止したアニメーションを再開する
+   */
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * アニメーションの時間の進む速さを変える
+   * @param {number} scale - 速さ（1.0 で実時間、0.5 でスローモーション）
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0.0, scale);
+  }
+
+  /**
+   * 固定の時間刻みで更新するかどうかを切り替える
+   * @param {number|null} step - 時間刻み（秒、null のときは描画ごとの経過時間で更新する）
+   */
+  setFixedStep(step) {
+    // 0 以下では 1 フレームに何度も時間の進まない（または戻る）更新をしてしまう
+    if (step !== null && !(Number.isFinite(step) && step > 0.0)) {
+      throw new RangeError(`App3: 時間刻み ${step} は null か 0 より大きい数にしてください`);
+    }
+    this.fixedStep = step;
+    this.stepAccumulator = 0.0;
+  }
+
+  /**
+   * アニメーションを進める
+   * @param {number} delta - 進める時間（秒）
+   */
+  update(delta) {
+    this.time += delta;
+    this.updateFrames(delta);
+    this.updateCellAnimation();
+    this.updateRelief();
+    this.updateCallbacks.forEach((callback) => callback(delta, this.time));
+  }
+
+  /**
+   * コントロールを更新する
+   * 慣性の減衰率を経過時間に合わせて変えることで、描画の頻度によらず同じ速さで止まるようにする
+   * @param {number} delta - 前回の更新からの経過時間（秒）
+   */
+  updateControls(delta) {
+    const { dampingFactor } = App3.CONTROLS_PARAM;
+    this.controls.dampingFactor = 1.0 - (1.0 - dampingFactor) ** (delta * 60.0);
+    this.controls.update();
   }
 
   /**
    * 描画処理
    */
   render() {
-    // 恒常ループの設定
-    requestAnimationFrame(this.render);
+    // 恒常ループの設定（dispose で止められるよう番号を覚えておく）
+    this.animationFrameId = requestAnimationFrame(this.render);
 
-    // コントロールを更新
-    this.controls.update();
+    // 前回の描画からの経過時間を測る
+    if (!this.clock.running) {
+      this.clock.start();
+    }
+    const realDelta = Math.min(this.clock.getDelta(), App3.CLOCK_PARAM.maxDelta);
+    this.realTime += realDelta;
+
+    // カメラのアニメーションとコントロールは一時停止や速さの影響を受けずに更新する
+    this.updateCameraTransition();
+    // OrbitControls は無効にしていても update でカメラの距離を maxDistance に収めてしまうので、
+    // 投影方法の切り替えでカメラを遠ざけている間などは更新しない
+    if (this.cameraTransition == null) {
+      this.updateControls(realDelta);
+    }
+    this.updateHover();
+
+    // アニメーションを進める
+    const delta = this.isPaused ? 0.0 : realDelta * this.timeScale;
+    if (this.fixedStep == null) {
+      if (delta > 0.0) {
+        this.update(delta);
+      }
+    } else {
+      this.stepAccumulator += delta;
+      let steps = 0;
+      while (this.stepAccumulator >= this.fixedStep && steps < App3.CLOCK_PARAM.maxSteps) {
+        this.update(this.fixedStep);
+        this.stepAccumulator -= this.fixedStep;
+        steps++;
+      }
+      // 追いつけない分は捨てて、遅れが溜まり続けないようにする
+      if (steps === App3.CLOCK_PARAM.maxSteps) {
+        this.stepAccumulator = 0.0;
+      }
+    }
+
+    // bake した後に変更されたセルがあれば作り直す
+    if (this.isBakeDirty) {
+      this.bake(this.bakeOptions);
+    }
+    this.updateOutline();
 
     // レンダラーで描画
-    this.renderer.render(this.scene, this.camera);
+    if (this.isPostProcessEnabled) {
+      // グリッチなどの画面効果は一時停止中もクリックやポインタに反応できるよう、実際の経過時間で進める
+      this.composer.render(realDelta);
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
 }
 
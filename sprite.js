@@ -0,0 +1,235 @@
+/**
+ * スプライト（ドット絵）のデータ形式を扱うためのユーティリティ
+ *
+ * スプライトは以下のような JSON で表現する
+ * {
+ *   "palette": ["#ffffff", "#000000", ...], // 色のテーブル（'#rrggbb' 形式の文字列または数値）
+ *   "cells": [                              // 行優先のパレット番号のグリッド（上の行から順に並べる）
+ *     [0, 0, 1, ...],
+ *     ...
+ *   ]
+ * }
+ * パレット番号に EMPTY（-1）を指定したセルにはボックスを置かない
+ *
+ * 奥行きのあるスプライトは cells の代わりに、手前から順に cells と同じ形式のグリッドを並べた
+ * "layers" で表現する（cells は奥行きが 1 の layers として扱う）
+ *
+ * 歩行や瞬きなど複数のフレームを持つスプライトは、cells（または layers）の代わりに "frames" で表現する
+ * {
+ *   "palette": [...],
+ *   "frames": [
+ *     { "cells": [...], "duration": 0.1 }, // duration はフレームを表示する時間（秒、省略時は DEFAULT_FRAME_DURATION）
+ *     { "layers": [...], "duration": 0.2 },
+ *     ...
+ *   ]
+ * }
+ * すべてのフレームは同じ列数・行数・層数でなければならない
+ *
+ * "idle" や "walk" のように、フレームの範囲に名前を付けて再生する場合は "tags" を指定する
+ *   "tags": [
+ *     { "name": "walk", "from": 1, "to": 4, "direction": "forward" }, // direction は forward, reverse, pingpong, pingpong_reverse
+ *     ...
+ *   ]
+ */
+
+/**
+ * ボックスを置かないセルを表すパレット番号
+ */
+export const EMPTY = -1;
+
+/**
+ * duration を省略したフレームを表示する時間（秒）
+ */
+export const DEFAULT_FRAME_DURATION = 0.1;
+
+/**
+ * タグの再生の向きとして指定できる値
+ */
+export const TAG_DIRECTIONS = ['forward', 'reverse', 'pingpong', 'pingpong_reverse'];
+
+/**
+ * スプライトのデータを検証し、扱いやすい形に整える
+ * フレームが 1 つのスプライトも frames を持ち、layers は先頭のフレームの layers と同じ配列を指す
+ * @param {object} data - palette と cells（layers または frames）を持つオブジェクト
+ * @return {{width: number, height: number, depth: number, palette: Array<string|number>, layers: number[][][],
+ *   frames: Array<{layers: number[][][], duration: number}>,
+ *   tags: Array<{name: string, from: number, to: number, direction: string}>}}
+ */
+export function createSprite(data) {
+  const hasCells = data != null && (Array.isArray(data.layers) || Array.isArray(data.cells));
+  if (data == null || !Array.isArray(data.palette) || !(hasCells || Array.isArray(data.frames))) {
+    throw new Error('sprite: palette と cells（layers または frames）の配列が必要です');
+  }
+  const sources = Array.isArray(data.frames) ? data.frames : [data];
+  if (sources.length === 0) {
+    throw new Error('sprite: frames には 1 つ以上のフレームが必要です');
+  }
+  const first = getLayersSource(sources[0], 0);
+  const depth = first.length;
+  const height = depth > 0 && Array.isArray(first[0]) ? first[0].length : 0;
+  const width = height > 0 && Array.isArray(first[0][0]) ? first[0][0].length : 0;
+  const frames = sources.map((frame, f) => {
+    const source = getLayersSource(frame, f);
+    if (source.length !== depth) {
+      throw new Error(`sprite: ${f} フレーム目の層数が ${depth} ではありません`);
+    }
+    const duration = frame.duration ?? DEFAULT_FRAME_DURATION;
+    if (!(typeof duration === 'number' && duration > 0)) {
+      throw new Error(`sprite: ${f} フレーム目の duration ${duration} が不正です`);
+    }
+    const layers = source.map((cells, z) => {
+      if (!Array.isArray(cells) || cells.length !== height) {
+        throw new Error(`sprite: ${z} 層目の行数が ${height} ではありません`);
+      }
+      return cells.map((row, y) => {
+        if (!Array.isArray(row) || row.length !== width) {
+          throw new Error(`sprite: ${z} 層目の ${y} 行目の長さが ${width} ではありません`);
+        }
+        return row.map((index, x) => {
+          if (index !== EMPTY && !(Number.isInteger(index) && index >= 0 && index < data.palette.length)) {
+            throw new Error(`sprite: (${x}, ${y}, ${z}) のパレット番号 ${index} が不正です`);
+          }
+          return index;
+        });
+      });
+    });
+    return { layers, duration };
+  });
+  const tags = (data.tags ?? []).map((tag) => {
+    const { name, from, to, direction = 'forward' } = tag;
+    if (typeof name !== 'string' || !Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to >= frames.length || from > to) {
+      throw new Error(`sprite: タグ ${name} のフレームの範囲 ${from} 〜 ${to} が不正です`);
+    }
+    if (!TAG_DIRECTIONS.includes(direction)) {
+      throw new Error(`sprite: タグ ${name} の direction ${direction} が不正です`);
+    }
+    return { name, from, to, direction };
+  });
+  return {
+    width,
+    height,
+    depth,
+    palette: data.palette.slice(),
+    layers: frames[0].layers,
+    frames,
+    tags,
+  };
+}
+
+/**
+ * フレーム（またはスプライト）から layers の形式のグリッドを取り出す
+ */
+function getLayersSource(frame, index) {
+  if (frame != null && Array.isArray(frame.layers)) {
+    return frame.layers;
+  }
+  if (frame != null && Array.isArray(frame.cells)) {
+    return [frame.cells];
+  }
+  throw new Error(`sprite: ${index} フレーム目に cells（または layers）の配列が必要です`);
+}
+
+/**
+ * スプライトの列数と行数を変更した新しいスプライトを生成する
+ * mode が 'canvas' のときは anchorX, anchorY で指定した位置をそろえたまま、はみ出すセルは切り取り、足りないセルは空で埋める
+ * mode が 'resample' のときは絵全体を新しい大きさに拡大・縮小する（最近傍法なので色は増えない）
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} width - 新しい列数
+ * @param {number} height - 新しい行数
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'canvas'（切り取り・余白の追加）または 'resample'（拡大・縮小）
+ * @param {number} [options.anchorX] - canvas のときにそろえる横の位置（0.0 で左端、0.5 で中央、1.0 で右端）
+ * @param {number} [options.anchorY] - canvas のときにそろえる縦の位置（0.0 で上端、0.5 で中央、1.0 で下端）
+ * @return {object}
+ */
+export function resizeSprite(sprite, width, height, { mode = 'canvas', anchorX = 0.5, anchorY = 0.5 } = {}) {
+  if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+    throw new Error(`sprite: 列数 ${width} と行数 ${height} は 1 以上の整数にしてください`);
+  }
+  if (![anchorX, anchorY].every((anchor) => Number.isFinite(anchor) && anchor >= 0 && anchor <= 1)) {
+    throw new Error(`sprite: そろえる位置 ${anchorX}, ${anchorY} は 0.0 〜 1.0 の数にしてください`);
+  }
+  let getSource;
+  switch (mode) {
+    case 'canvas': {
+      const offsetX = Math.floor((width - sprite.width) * anchorX);
+      const offsetY = Math.floor((height - sprite.height) * anchorY);
+      getSource = (col, row) => [col - offsetX, row - offsetY];
+      break;
+    }
+    case 'resample':
+      // 新しいセルの中心が元のどのセルに入るかで決める
+      getSource = (col, row) => [
+        Math.floor((col + 0.5) * sprite.width / width),
+        Math.floor((row + 0.5) * sprite.height / height),
+      ];
+      break;
+    default:
+      throw new Error(`sprite: 未知の大きさの変え方です（${mode}）`);
+  }
+  const frames = sprite.frames.map((frame) => {
+    const layers = frame.layers.map((cells) => {
+      return Array.from({ length: height }, (_, row) => {
+        return Array.from({ length: width }, (_, col) => {
+          const [x, y] = getSource(col, row);
+          if (x < 0 || y < 0 || x >= sprite.width || y >= sprite.height) {
+            return EMPTY;
+          }
+          return cells[y][x];
+        });
+      });
+    });
+    return { layers, duration: frame.duration };
+  });
+  return createSprite({ palette: sprite.palette, frames, tags: sprite.tags });
+}
+
+/**
+ * セルが置かれる位置（グリッドの中央が原点）を求める
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @param {number} col - 列
+ * @param {number} row - 行
+ * @param {number} layer - 層（手前が 0）
+ * @param {number} size - セルの一辺の長さ
+ * @param {{set: function}} target - 結果を格納するベクトル（THREE.Vector3 など）
+ * @return {object}
+ */
+export function getCellPosition(sprite, col, row, layer, size, target) {
+  return target.set(
+    (col - (sprite.width - 1) / 2) * size,
+    ((sprite.height - 1) / 2 - row) * size,
+    ((sprite.depth - 1) / 2 - layer) * size,
+  );
+}
+
+/**
+ * JSON ファイルからスプライトを読み込む
+ * @param {string} url - JSON ファイルの URL
+ * @return {Promise<object>}
+ */
+export async function loadSprite(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`sprite: ${url} の読み込みに失敗しました（${response.status}）`);
+  }
+  return createSprite(await response.json());
+}
+
+/**
+ * 数値または '#rrggbb' 形式の色を [r, g, b] に変換する
+ * @param {string|number} value - パレットの色
+ * @return {number[]}
+ */
+export function parseColor(value) {
+  const hex = typeof value === 'number' ? value : parseInt(String(value).replace('#', ''), 16);
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+}
+
+/**
+ * [r, g, b] を '#rrggbb' 形式の文字列に変換する
+ * @param {number[]} color - [r, g, b]
+ * @return {string}
+ */
+export function toHex(color) {
+  return '#' + color.map((value) => value.toString(16).padStart(2, '0')).join('');
+}
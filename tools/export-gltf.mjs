@@ -0,0 +1,50 @@
+/**
+ * スプライト（.json / .vox）を glTF / GLB に一括変換するコマンド
+ *
+ *   node tools/export-gltf.mjs [--merge] [--gltf] <入力ファイル>...
+ *
+ * 出力ファイルは入力ファイルと同じ場所に、拡張子を .glb（--gltf のときは .gltf）に変えて保存する
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { createSprite } from '../sprite.js';
+import { parseVox } from '../vox.js';
+import { exportGLTF } from '../gltf.js';
+
+// GLTFExporter は Blob の読み出しに FileReader を使うので、Node.js 向けに最低限の代替を用意する
+if (typeof globalThis.FileReader === 'undefined') {
+  globalThis.FileReader = class FileReader {
+    readAsArrayBuffer(blob) {
+      blob.arrayBuffer().then((buffer) => {
+        this.result = buffer;
+        this.onloadend();
+      });
+    }
+    readAsDataURL(blob) {
+      blob.arrayBuffer().then((buffer) => {
+        this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+        this.onloadend();
+      });
+    }
+  };
+}
+
+const args = process.argv.slice(2);
+const merge = args.includes('--merge');
+const binary = !args.includes('--gltf');
+const inputs = args.filter((arg) => !arg.startsWith('--'));
+
+if (inputs.length === 0) {
+  console.error('usage: node tools/export-gltf.mjs [--merge] [--gltf] <file.json|file.vox>...');
+  process.exit(1);
+}
+
+for (const input of inputs) {
+  const data = await readFile(input);
+  const sprite = input.toLowerCase().endsWith('.vox')
+    ? parseVox(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength))
+    : createSprite(JSON.parse(data.toString('utf8')));
+  const result = await exportGLTF(sprite, { binary, merge });
+  const output = input.replace(/\.[^./\\]+$/, '') + (binary ? '.glb' : '.gltf');
+  await writeFile(output, binary ? Buffer.from(result) : JSON.stringify(result));
+  console.log(`${input} -> ${output}`);
+}
@@ -0,0 +1,226 @@
+/**
+ * MagicaVoxel の .vox 形式とスプライトを相互に変換するためのユーティリティ
+ *
+ * .vox は Z 軸が上向きの座標系なので、スプライトとは次のように対応させる
+ *   X → 列（col）
+ *   Y → 層（layer、手前が 0）
+ *   Z → 行（row、上の行ほど Z が大きい）
+ * 複数のモデルを含むファイルは最初のモデルだけを読み込む
+ */
+import { EMPTY, createSprite, parseColor, toHex } from './sprite.js';
+
+/**
+ * .vox 形式のバージョン
+ */
+const VOX_VERSION = 150;
+
+/**
+ * 1 辺あたりのボクセル数の上限
+ */
+const VOX_MAX_SIZE = 256;
+
+/**
+ * RGBA チャンクを持たないファイルで使われる既定のパレット
+ * 6 段階の RGB の組み合わせ（黒を除く 215 色）に、赤・緑・青・灰色の 10 段階ずつのグラデーションが続く
+ */
+const DEFAULT_PALETTE = (() => {
+  const steps = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  const palette = [];
+  for (const r of steps) {
+    for (const g of steps) {
+      for (const b of steps) {
+        palette.push([r, g, b]);
+      }
+    }
+  }
+  // 最後の黒は含めない
+  palette.pop();
+  for (const value of ramp) {
+    palette.push([value, 0, 0]);
+  }
+  for (const value of ramp) {
+    palette.push([0, value, 0]);
+  }
+  for (const value of ramp) {
+    palette.push([0, 0, value]);
+  }
+  for (const value of ramp) {
+    palette.push([value, value, value]);
+  }
+  return palette;
+})();
+
+/**
+ * .vox 形式のデータをスプライトに変換する
+ * @param {ArrayBuffer} buffer - .vox ファイルの中身
+ * @return {object}
+ */
+export function parseVox(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 8 || readId(view, 0) !== 'VOX ') {
+    throw new Error('vox: .vox 形式のデータではありません');
+  }
+
+  let size = null;
+  let voxels = null;
+  let rgba = null;
+
+  // MAIN チャンクの子チャンクを順番に読む
+  let offset = 8;
+  if (readId(view, offset) !== 'MAIN') {
+    throw new Error('vox: MAIN チャンクがありません');
+  }
+  offset += 12 + view.getInt32(offset + 4, true);
+  while (offset + 12 <= buffer.byteLength) {
+    const id = readId(view, offset);
+    const contentSize = view.getInt32(offset + 4, true);
+    const childrenSize = view.getInt32(offset + 8, true);
+    const content = offset + 12;
+    if (id === 'SIZE' && size == null) {
+      size = {
+        x: view.getInt32(content, true),
+        y: view.getInt32(content + 4, true),
+        z: view.getInt32(content + 8, true),
+      };
+    } else if (id === 'XYZI' && voxels == null) {
+      const count = view.getInt32(content, true);
+      voxels = new Uint8Array(buffer, content + 4, count * 4);
+    } else if (id === 'RGBA') {
+      rgba = [];
+      for (let i = 0; i < 256; i++) {
+        const color = content + i * 4;
+        rgba.push([view.getUint8(color), view.getUint8(color + 1), view.getUint8(color + 2)]);
+      }
+    }
+    offset = content + contentSize + childrenSize;
+  }
+  if (size == null || voxels == null) {
+    throw new Error('vox: SIZE または XYZI チャンクがありません');
+  }
+
+  // 使われている色だけをスプライトのパレットにする
+  const colors = rgba ?? DEFAULT_PALETTE;
+  const palette = [];
+  const paletteIndices = new Map();
+  const layers = createEmptyLayers(size.x, size.z, size.y);
+  for (let i = 0; i < voxels.length; i += 4) {
+    const x = voxels[i];
+    const y = voxels[i + 1];
+    const z = voxels[i + 2];
+    const colorIndex = voxels[i + 3];
+    if (x >= size.x || y >= size.y || z >= size.z || colorIndex === 0) {
+      continue;
+    }
+    if (!paletteIndices.has(colorIndex)) {
+      paletteIndices.set(colorIndex, palette.length);
+      palette.push(toHex(colors[colorIndex - 1]));
+    }
+    layers[y][size.z - 1 - z][x] = paletteIndices.get(colorIndex);
+  }
+
+  return createSprite({ palette, layers });
+}
+
+/**
+ * スプライトを .vox 形式のデータに変換する
+ * @param {object} sprite - createSprite で生成したスプライト
+ * @return {ArrayBuffer}
+ */
+export function writeVox(sprite) {
+  const { width, height, depth, palette, layers } = sprite;
+  if (width > VOX_MAX_SIZE || height > VOX_MAX_SIZE || depth > VOX_MAX_SIZE) {
+    throw new Error(`vox: 1 辺のボクセル数は ${VOX_MAX_SIZE} 以下である必要があります`);
+  }
+  if (palette.length > 255) {
+    throw new Error('vox: パレットの色数は 255 以下である必要があります');
+  }
+
+  const voxels = [];
+  for (let layer = 0; layer < depth; layer++) {
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const index = layers[layer][row][col];
+        if (index !== EMPTY) {
+          voxels.push(col, layer, height - 1 - row, index + 1);
+        }
+      }
+    }
+  }
+
+  const sizeChunk = 12 + 12;
+  const xyziChunk = 12 + 4 + voxels.length;
+  const rgbaChunk = 12 + 256 * 4;
+  const childrenSize = sizeChunk + xyziChunk + rgbaChunk;
+  const buffer = new ArrayBuffer(8 + 12 + childrenSize);
+  const view = new DataView(buffer);
+
+  let offset = 0;
+  writeId(view, offset, 'VOX ');
+  view.setInt32(offset + 4, VOX_VERSION, true);
+  offset += 8;
+
+  offset = writeChunkHeader(view, offset, 'MAIN', 0, childrenSize);
+
+  offset = writeChunkHeader(view, offset, 'SIZE', 12, 0);
+  view.setInt32(offset, width, true);
+  view.setInt32(offset + 4, depth, true);
+  view.setInt32(offset + 8, height, true);
+  offset += 12;
+
+  offset = writeChunkHeader(view, offset, 'XYZI', 4 + voxels.length, 0);
+  view.setInt32(offset, voxels.length / 4, true);
+  new Uint8Array(buffer, offset + 4, voxels.length).set(voxels);
+  offset += 4 + voxels.length;
+
+  // パレット番号 i の色は .vox の色番号 i + 1 に対応する
+  offset = writeChunkHeader(view, offset, 'RGBA', 256 * 4, 0);
+  for (let i = 0; i < 256; i++) {
+    const [r, g, b] = i < palette.length ? parseColor(palette[i]) : [0, 0, 0];
+    view.setUint8(offset + i * 4, r);
+    view.setUint8(offset + i * 4 + 1, g);
+    view.setUint8(offset + i * 4 + 2, b);
+    view.setUint8(offset + i * 4 + 3, 0xff);
+  }
+
+  return buffer;
+}
+
+/**
+ * すべてのセルが空のグリッドを生成する
+ */
+function createEmptyLayers(width, height, depth) {
+  return Array.from({ length: depth }, () => {
+    return Array.from({ length: height }, () => new Array(width).fill(EMPTY));
+  });
+}
+
+/**
+ * 4 文字のチャンク ID を読む
+ */
+function readId(view, offset) {
+  let id = '';
+  for (let i = 0; i < 4; i++) {
+    id += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return id;
+}
+
+/**
+ * 4 文字のチャンク ID を書く
+ */
+function writeId(view, offset, id) {
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(offset + i, id.charCodeAt(i));
+  }
+}
+
+/**
+ * チャンクのヘッダを書き、中身を書き始める位置を返す
+ */
+function writeChunkHeader(view, offset, id, contentSize, childrenSize) {
+  writeId(view, offset, id);
+  view.setInt32(offset + 4, contentSize, true);
+  view.setInt32(offset + 8, childrenSize, true);
+  return offset + 12;
+}
@@ -0,0 +1,369 @@
+/**
+ * glTF / GLB や OBJ の 3D モデルをボクセル化してスプライトに変換するためのユーティリティ
+ *
+ * モデル全体を囲む箱を、最も長い辺が resolution 個のセルになるよう分割し、三角形が通るセルにボックスを置く
+ * セルの色はマテリアルの色、頂点カラー、テクスチャ（map）を掛け合わせた色の平均とする
+ * fill に 'solid' を指定したときは、表面に囲まれた内側のセルも最も近い表面の色で埋める
+ *
+ * .gltf は外部のファイル（.bin や画像）を参照せず、データ URI で埋め込んだものだけを読み込める
+ */
+import * as THREE from './lib/three.module.js';
+import { GLTFLoader } from './lib/GLTFLoader.js';
+import { OBJLoader } from './lib/OBJLoader.js';
+import { EMPTY, createSprite, toHex } from './sprite.js';
+import { findNearest, quantize } from './image.js';
+
+/**
+ * ボクセル化に使うオプションの既定値
+ */
+export const VOXELIZE_OPTIONS = {
+  resolution: 32,      // モデルの最も長い辺を何個のセルに分割するか
+  fill: 'surface',     // 'surface' は表面だけ、'solid' は内側までボックスで埋める
+  paletteSize: 32,     // パレットの最大色数
+  alphaThreshold: 128, // 不透明度（0 〜 255）がこの値より小さい部分は無視する
+};
+
+/**
+ * 読み込めるモデルの拡張子
+ */
+export const MODEL_EXTENSIONS = ['.glb', '.gltf', '.obj'];
+
+// 計算用の一時オブジェクト
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _uv = new THREE.Vector2();
+const _color = new THREE.Color();
+
+/**
+ * モデルのファイルを読み込み、ボクセル化してスプライトに変換する
+ * @param {File} file - .glb、.gltf または .obj ファイル
+ * @param {object} [options] - VOXELIZE_OPTIONS と同じ形式のオプション
+ * @return {Promise<object>}
+ */
+export async function loadModelSprite(file, options = {}) {
+  const object = await loadModel(file);
+  try {
+    return voxelizeObject(object, options);
+  } finally {
+    disposeObject(object);
+  }
+}
+
+/**
+ * モデルのファイルを読み込む
+ * @param {File} file - .glb、.gltf または .obj ファイル
+ * @return {Promise<THREE.Object3D>}
+ */
+export async function loadModel(file) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.glb') || name.endsWith('.gltf')) {
+    const data = name.endsWith('.glb') ? await file.arrayBuffer() : await file.text();
+    const gltf = await new GLTFLoader().parseAsync(data, '');
+    return gltf.scene;
+  } else if (name.endsWith('.obj')) {
+    return new OBJLoader().parse(await file.text());
+  }
+  throw new Error(`voxelize: 対応していないモデルの形式です（${file.name}）`);
+}
+
+/**
+ * 3D のオブジェクトに含まれる表示中のメッシュをボクセル化してスプライトに変換する
+ * x 軸が列、y 軸が行（上から）、z 軸が層（手前から）に対応する
+ * @param {THREE.Object3D} object - ボクセル化するオブジェクト
+ * @param {object} [options] - VOXELIZE_OPTIONS と同じ形式のオプション
+ * @return {object}
+ */
+export function voxelizeObject(object, options = {}) {
+  const { resolution, fill, paletteSize, alphaThreshold } = { ...VOXELIZE_OPTIONS, ...options };
+  if (!(Number.isInteger(resolution) && resolution > 0)) {
+    throw new Error(`voxelize: resolution ${resolution} が不正です`);
+  }
+  if (fill !== 'surface' && fill !== 'solid') {
+    throw new Error(`voxelize: fill ${fill} が不正です`);
+  }
+
+  object.updateMatrixWorld(true);
+  const meshes = [];
+  object.traverseVisible((child) => {
+    if (child.isMesh && child.geometry.attributes.position != null) {
+      meshes.push(child);
+    }
+  });
+  const bounds = new THREE.Box3();
+  meshes.forEach((mesh) => bounds.expandByObject(mesh, true));
+  if (meshes.length === 0 || bounds.isEmpty()) {
+    throw new Error('voxelize: ボクセル化できるメッシュがありません');
+  }
+
+  // 最も長い辺を resolution 個に分割した大きさをセルの大きさとする
+  const size = bounds.getSize(new THREE.Vector3());
+  const cellSize = Math.max(size.x, size.y, size.z) / resolution || 1;
+  const width = Math.max(1, Math.ceil(size.x / cellSize - 1e-6));
+  const height = Math.max(1, Math.ceil(size.y / cellSize - 1e-6));
+  const depth = Math.max(1, Math.ceil(size.z / cellSize - 1e-6));
+
+  // セルごとに、通った三角形の色の合計と数を集める
+  const sums = new Float32Array(width * height * depth * 3);
+  const counts = new Uint32Array(width * height * depth);
+  const samplers = new Map();
+  const toCell = (value, min, length) => Math.min(length - 1, Math.max(0, Math.floor((value - min) / cellSize)));
+  meshes.forEach((mesh) => {
+    forEachTriangle(mesh, (triangle) => {
+      // 三角形の上の点を、セルの半分より細かい間隔で調べる
+      const edge = Math.max(_a.distanceTo(_b), _b.distanceTo(_c), _c.distanceTo(_a));
+      const steps = Math.max(1, Math.ceil(edge / (cellSize * 0.5)));
+      for (let i = 0; i <= steps; i++) {
+        for (let j = 0; j <= steps - i; j++) {
+          const u = i / steps;
+          const v = j / steps;
+          const w = 1 - u - v;
+          const alpha = sampleColor(mesh, triangle, u, v, w, samplers, _color);
+          if (alpha * 255 < alphaThreshold) {
+            continue;
+          }
+          _point.set(0, 0, 0).addScaledVector(_a, u).addScaledVector(_b, v).addScaledVector(_c, w);
+          const x = toCell(_point.x, bounds.min.x, width);
+          const y = toCell(_point.y, bounds.min.y, height);
+          const z = toCell(_point.z, bounds.min.z, depth);
+          const index = (z * height + y) * width + x;
+          sums[index * 3] += _color.r;
+          sums[index * 3 + 1] += _color.g;
+          sums[index * 3 + 2] += _color.b;
+          counts[index]++;
+        }
+      }
+    });
+  });
+
+  const colors = new Array(width * height * depth).fill(null);
+  counts.forEach((count, index) => {
+    if (count > 0) {
+      colors[index] = [0, 1, 2].map((channel) => Math.round(sums[index * 3 + channel] / count * 255));
+    }
+  });
+  if (fill === 'solid') {
+    fillInside(colors, width, height, depth);
+  }
+
+  const palette = quantize(colors.filter((color) => color != null), paletteSize);
+  if (palette.length === 0) {
+    throw new Error('voxelize: ボックスを置けるセルがありません');
+  }
+  const layers = Array.from({ length: depth }, (_, layer) => {
+    const z = depth - 1 - layer;
+    return Array.from({ length: height }, (_, row) => {
+      const y = height - 1 - row;
+      return Array.from({ length: width }, (_, x) => {
+        const color = colors[(z * height + y) * width + x];
+        return color == null ? EMPTY : findNearest(palette, color);
+      });
+    });
+  });
+  return createSprite({ palette: palette.map(toHex), layers });
+}
+
+/**
+ * メッシュの三角形ごとに、ワールド座標の頂点を _a, _b, _c に格納して callback を呼ぶ
+ * @param {THREE.Mesh} mesh - 対象のメッシュ
+ * @param {function({a: number, b: number, c: number, material: THREE.Material}): void} callback - 頂点番号とマテリアルを受け取る関数
+ */
+function forEachTriangle(mesh, callback) {
+  const { geometry } = mesh;
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index != null ? index.count : position.count;
+  const groups = Array.isArray(mesh.material) && geometry.groups.length > 0
+    ? geometry.groups
+    : [{ start: 0, count, materialIndex: 0 }];
+  groups.forEach((group) => {
+    const material = Array.isArray(mesh.material) ? mesh.material[group.materialIndex] : mesh.material;
+    if (material == null || material.visible === false) {
+      return;
+    }
+    const end = Math.min(count, group.start + group.count);
+    for (let i = group.start; i + 2 < end; i += 3) {
+      const a = index != null ? index.getX(i) : i;
+      const b = index != null ? index.getX(i + 1) : i + 1;
+      const c = index != null ? index.getX(i + 2) : i + 2;
+      mesh.getVertexPosition(a, _a).applyMatrix4(mesh.matrixWorld);
+      mesh.getVertexPosition(b, _b).applyMatrix4(mesh.matrixWorld);
+      mesh.getVertexPosition(c, _c).applyMatrix4(mesh.matrixWorld);
+      callback({ a, b, c, material });
+    }
+  });
+}
+
+/**
+ * 三角形の上の点の色（sRGB）を求める
+ * @param {THREE.Mesh} mesh - 対象のメッシュ
+ * @param {{a: number, b: number, c: number, material: THREE.Material}} triangle - 頂点番号とマテリアル
+ * @param {number} u - 頂点 a の重み
+ * @param {number} v - 頂点 b の重み
+ * @param {number} w - 頂点 c の重み
+ * @param {Map} samplers - テクスチャごとのサンプラーのキャッシュ
+ * @param {THREE.Color} target - 結果を格納する色
+ * @return {number} 不透明度（0.0 〜 1.0）
+ */
+function sampleColor(mesh, triangle, u, v, w, samplers, target) {
+  const { geometry } = mesh;
+  const { a, b, c, material } = triangle;
+  let alpha = material.opacity ?? 1;
+
+  // マテリアルの色と頂点カラーはリニアな値で読み込まれるので、パレットに合わせて sRGB に戻す
+  if (material.color != null) {
+    target.copy(material.color);
+  } else {
+    target.setRGB(1, 1, 1);
+  }
+  const colorAttribute = geometry.attributes.color;
+  if (material.vertexColors && colorAttribute != null) {
+    const interpolate = (getter) => getter.call(colorAttribute, a) * u + getter.call(colorAttribute, b) * v + getter.call(colorAttribute, c) * w;
+    target.r *= interpolate(colorAttribute.getX);
+    target.g *= interpolate(colorAttribute.getY);
+    target.b *= interpolate(colorAttribute.getZ);
+    if (colorAttribute.itemSize === 4) {
+      alpha *= interpolate(colorAttribute.getW);
+    }
+  }
+  target.convertLinearToSRGB();
+
+  // テクスチャの色は sRGB のまま掛け合わせる
+  const uvAttribute = geometry.attributes.uv;
+  if (material.map != null && uvAttribute != null) {
+    const sampler = getTextureSampler(material.map, samplers);
+    if (sampler != null) {
+      _uv.set(
+        uvAttribute.getX(a) * u + uvAttribute.getX(b) * v + uvAttribute.getX(c) * w,
+        uvAttribute.getY(a) * u + uvAttribute.getY(b) * v + uvAttribute.getY(c) * w,
+      );
+      // テクスチャの offset や repeat を反映し、wrapS と wrapT に従って 0.0 〜 1.0 に折り返す（flipY のときは上下も反転する）
+      material.map.transformUv(_uv);
+      const texel = sampler(_uv.x, _uv.y);
+      target.r *= texel[0] / 255;
+      target.g *= texel[1] / 255;
+      target.b *= texel[2] / 255;
+      alpha *= texel[3] / 255;
+    }
+  }
+  return alpha;
+}
+
+/**
+ * テクスチャの画像のピクセルを読み出す関数を返す
+ * ピクセルを読み出せない（画像がない、canvas が使えない）場合は null を返す
+ * @param {THREE.Texture} texture - 対象のテクスチャ
+ * @param {Map} samplers - テクスチャごとのサンプラーのキャッシュ
+ * @return {function(number, number): number[]|null} transformUv で変換した uv（画像の左上が原点）から [r, g, b, a] を返す関数
+ */
+function getTextureSampler(texture, samplers) {
+  if (samplers.has(texture)) {
+    return samplers.get(texture);
+  }
+  // 描画していないテクスチャは offset や repeat が matrix に反映されていないので、transformUv の前に更新しておく
+  if (texture.matrixAutoUpdate) {
+    texture.updateMatrix();
+  }
+  let sampler = null;
+  const image = texture.image;
+  if (image != null && image.width > 0 && image.height > 0 && typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0);
+    const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+    sampler = (u, v) => {
+      // flipY の反転は transformUv で済んでいる（折り返した結果がちょうど 1.0 になる場合は端のピクセルを使う）
+      const x = THREE.MathUtils.clamp(Math.floor(u * width), 0, width - 1);
+      const y = THREE.MathUtils.clamp(Math.floor(v * height), 0, height - 1);
+      const offset = (y * width + x) * 4;
+      return [data[offset], data[offset + 1], data[offset + 2], data[offset + 3]];
+    };
+  }
+  samplers.set(texture, sampler);
+  return sampler;
+}
+
+/**
+ * 表面に囲まれた内側の空のセルを、最も近い表面のセルの色で埋める
+ * @param {Array<number[]|null>} colors - セルごとの色（空のセルは null）
+ * @param {number} width - x 方向のセルの数
+ * @param {number} height - y 方向のセルの数
+ * @param {number} depth - z 方向のセルの数
+ */
+function fillInside(colors, width, height, depth) {
+  const neighbors = (index, callback) => {
+    const x = index % width;
+    const y = Math.floor(index / width) % height;
+    const z = Math.floor(index / (width * height));
+    if (x > 0) callback(index - 1);
+    if (x < width - 1) callback(index + 1);
+    if (y > 0) callback(index - width);
+    if (y < height - 1) callback(index + width);
+    if (z > 0) callback(index - width * height);
+    if (z < depth - 1) callback(index + width * height);
+  };
+  const isBorder = (index) => {
+    const x = index % width;
+    const y = Math.floor(index / width) % height;
+    const z = Math.floor(index / (width * height));
+    return x === 0 || y === 0 || z === 0 || x === width - 1 || y === height - 1 || z === depth - 1;
+  };
+
+  // 外周の空のセルからたどれる空のセルを外側とする
+  const outside = new Uint8Array(colors.length);
+  let queue = [];
+  colors.forEach((color, index) => {
+    if (color == null && isBorder(index)) {
+      outside[index] = 1;
+      queue.push(index);
+    }
+  });
+  for (let head = 0; head < queue.length; head++) {
+    neighbors(queue[head], (next) => {
+      if (colors[next] == null && outside[next] === 0) {
+        outside[next] = 1;
+        queue.push(next);
+      }
+    });
+  }
+
+  // 表面のセルから内側へ広げるように色を伝える
+  queue = [];
+  colors.forEach((color, index) => {
+    if (color != null) {
+      queue.push(index);
+    }
+  });
+  for (let head = 0; head < queue.length; head++) {
+    const color = colors[queue[head]];
+    neighbors(queue[head], (next) => {
+      if (colors[next] == null && outside[next] === 0) {
+        colors[next] = color;
+        queue.push(next);
+      }
+    });
+  }
+}
+
+/**
+ * 読み込んだオブジェクトのジオメトリ、マテリアル、テクスチャを破棄する
+ * @param {THREE.Object3D} object - 破棄するオブジェクト
+ */
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (!child.isMesh) {
+      return;
+    }
+    child.geometry.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach((material) => {
+      if (material.map != null) {
+        material.map.dispose();
+      }
+      material.dispose();
+    });
+  });
+}